@@ -1,61 +1,789 @@
 // Cross-browser namespace
 const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 
-// Check overdue accounts every 4 hours
-browserAPI.alarms.create('checkOverdue', { periodInMinutes: 240 });
+// Badge refresh and escalation check every hour
+browserAPI.alarms.create('checkOverdue', { periodInMinutes: 60 });
+
+// Counts and names the popup used to push before the worker kept its own schedule
+const LEGACY_KEYS = ['overdueCount', 'overdueNames', 'reminderAccounts', 'lastNotifiedTime'];
 
 // Also check on install/startup
-browserAPI.runtime.onInstalled.addListener(() => {
+browserAPI.runtime.onInstalled.addListener(async () => {
+  await browserAPI.storage.local.remove(LEGACY_KEYS);
+  // Names were kept by default before they became opt-in
+  if (!(await getNotificationSettings()).showNames) await scrubScheduleNames();
+  scheduleDigest();
   checkOverdueAccounts();
 });
 
 browserAPI.runtime.onStartup.addListener(() => {
+  clearSessionKey();
+  scheduleDigest();
   checkOverdueAccounts();
 });
 
-browserAPI.alarms.onAlarm.addListener((alarm) => {
-  if (alarm.name === 'checkOverdue') {
+browserAPI.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === 'checkOverdue' || alarm.name === 'statusChange' || alarm.name === 'quietHoursEnd') {
     checkOverdueAccounts();
+  } else if (alarm.name === 'reminderDigest') {
+    await scheduleDigest();
+    sendDigest();
+  } else if (alarm.name === 'deferredDigest') {
+    sendDigest();
+  } else if (alarm.name === 'sessionExpiry') {
+    clearSessionKey();
   }
 });
 
-async function checkOverdueAccounts() {
+// Locking the computer (or leaving it idle) locks every open page
+if (browserAPI.idle) {
+  applyIdleDetection();
+  browserAPI.idle.onStateChanged.addListener(async (state) => {
+    if (state === 'active') return;
+    const settings = await getLockSettings();
+    if (settings.lockOnIdle) lockAll();
+  });
+}
+
+// --- Notification Settings ---
+// Stored in plain storage.local so the worker can read them while the vault is locked.
+
+const DEFAULT_NOTIFICATION_SETTINGS = {
+  digest: 'daily',          // 'daily', 'weekly' or 'off'
+  digestTime: '09:00',
+  digestDay: 1,             // weekday for weekly digests, 0 = Sunday
+  notifyOverdue: true,
+  notifyDueSoon: true,
+  quietHours: true,
+  quietStart: '22:00',
+  quietEnd: '08:00',
+  escalateAfterDays: 14,    // 0 turns escalation off
+  showNames: false          // opt-in: keep service names/URLs in the unencrypted schedule
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ESCALATION_REPEAT_MS = DAY_MS;
+const MAX_NOTIFICATIONS_PER_CHECK = 3;
+const SNOOZE_ACTION_DAYS = 1;
+
+function normalizeNotificationSettings(value) {
+  const v = value && typeof value === 'object' ? value : {};
+  const d = DEFAULT_NOTIFICATION_SETTINGS;
+  const time = (t, fallback) => typeof t === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(t) ? t : fallback;
+  const flag = (f, fallback) => typeof f === 'boolean' ? f : fallback;
+  const day = parseInt(v.digestDay, 10);
+  const escalate = parseInt(v.escalateAfterDays, 10);
+  return {
+    digest: ['daily', 'weekly', 'off'].includes(v.digest) ? v.digest : d.digest,
+    digestTime: time(v.digestTime, d.digestTime),
+    digestDay: day >= 0 && day <= 6 ? day : d.digestDay,
+    notifyOverdue: flag(v.notifyOverdue, d.notifyOverdue),
+    notifyDueSoon: flag(v.notifyDueSoon, d.notifyDueSoon),
+    quietHours: flag(v.quietHours, d.quietHours),
+    quietStart: time(v.quietStart, d.quietStart),
+    quietEnd: time(v.quietEnd, d.quietEnd),
+    escalateAfterDays: escalate >= 0 && escalate <= 365 ? escalate : d.escalateAfterDays,
+    showNames: flag(v.showNames, d.showNames)
+  };
+}
+
+async function getNotificationSettings() {
+  const data = await browserAPI.storage.local.get('notificationSettings');
+  return normalizeNotificationSettings(data.notificationSettings);
+}
+
+// --- Lock Settings & Sessions ---
+
+const DEFAULT_LOCK_SETTINGS = {
+  autoLockMinutes: 15,      // pages lock after this long without input, 0 = never
+  lockOnIdle: true,         // also when the system goes idle or the screen locks
+  sessionMinutes: 0         // keep the key this long for reopening, 0 = off
+};
+
+// Memory-only and cleared on browser restart; missing before Firefox 115
+const sessionStore = browserAPI.storage.session;
+
+function normalizeLockSettings(value) {
+  const v = value && typeof value === 'object' ? value : {};
+  const d = DEFAULT_LOCK_SETTINGS;
+  const minutes = (m, max, fallback) => {
+    const n = parseInt(m, 10);
+    return n >= 0 && n <= max ? n : fallback;
+  };
+  return {
+    autoLockMinutes: minutes(v.autoLockMinutes, 240, d.autoLockMinutes),
+    lockOnIdle: typeof v.lockOnIdle === 'boolean' ? v.lockOnIdle : d.lockOnIdle,
+    sessionMinutes: sessionStore ? minutes(v.sessionMinutes, 240, d.sessionMinutes) : 0
+  };
+}
+
+async function getLockSettings() {
+  const data = await browserAPI.storage.local.get('lockSettings');
+  return normalizeLockSettings(data.lockSettings);
+}
+
+// Idle state follows the auto-lock timeout (the API's minimum is 15 seconds)
+async function applyIdleDetection() {
+  const settings = await getLockSettings();
+  browserAPI.idle.setDetectionInterval(Math.max(60, (settings.autoLockMinutes || 15) * 60));
+}
+
+async function storeSessionKey(key) {
+  const settings = await getLockSettings();
+  if (!settings.sessionMinutes || !Array.isArray(key) || key.length !== 32) return;
+  await extendSession(settings.sessionMinutes, { sessionKey: key });
+}
+
+// Each reopen restarts the countdown
+async function takeSessionKey() {
+  if (!sessionStore) return null;
+  const settings = await getLockSettings();
+  const data = await sessionStore.get(['sessionKey', 'sessionExpires']);
+  if (!data.sessionKey || !settings.sessionMinutes || Date.now() >= data.sessionExpires) {
+    await clearSessionKey();
+    return null;
+  }
+  await extendSession(settings.sessionMinutes);
+  return data.sessionKey;
+}
+
+async function extendSession(minutes, extra = {}) {
+  const sessionExpires = Date.now() + minutes * 60 * 1000;
+  await sessionStore.set({ ...extra, sessionExpires });
+  browserAPI.alarms.create('sessionExpiry', { when: sessionExpires });
+}
+
+async function clearSessionKey() {
+  browserAPI.alarms.clear('sessionExpiry');
+  if (sessionStore) await sessionStore.remove(['sessionKey', 'sessionExpires']);
+}
+
+async function lockAll() {
+  await clearSessionKey();
+  try {
+    await browserAPI.runtime.sendMessage({ type: 'lockNow' });
+  } catch (e) {
+    // No pages open
+  }
+}
+
+// --- Unlock Throttling ---
+// Failed unlocks are counted here, in storage.local, so closing and reopening
+// the popup doesn't reset the backoff. Pages decrypt locally, so they ask
+// before each attempt and report how it went.
+
+const UNLOCK_FREE_ATTEMPTS = 3;
+const UNLOCK_BASE_DELAY_MS = 5000;
+const UNLOCK_MAX_DELAY_MS = 15 * 60 * 1000;
+const UNLOCK_LOG_LIMIT = 50;
+const UNLOCK_METHODS = ['passphrase', 'recovery', 'passkey'];
+
+async function getUnlockState() {
+  const data = await browserAPI.storage.local.get('unlockAttempts');
+  return { failures: 0, lockedUntil: 0, log: [], ...data.unlockAttempts };
+}
+
+// 5s after the third failure, doubling up to 15 minutes
+function unlockDelay(failures) {
+  if (failures < UNLOCK_FREE_ATTEMPTS) return 0;
+  return Math.min(UNLOCK_BASE_DELAY_MS * 2 ** (failures - UNLOCK_FREE_ATTEMPTS), UNLOCK_MAX_DELAY_MS);
+}
+
+async function unlockStatus() {
+  const state = await getUnlockState();
+  return { failures: state.failures, lockedUntil: state.lockedUntil > Date.now() ? state.lockedUntil : 0 };
+}
+
+async function recordUnlockFailure(method, sender) {
+  const state = await getUnlockState();
+  state.failures++;
+  state.lockedUntil = Date.now() + unlockDelay(state.failures);
+  state.log = [...state.log, {
+    at: new Date().toISOString(),
+    method: UNLOCK_METHODS.includes(method) ? method : 'passphrase',
+    page: sender.url.includes('/dashboard/') ? 'dashboard' : 'popup'
+  }].slice(-UNLOCK_LOG_LIMIT);
+  await browserAPI.storage.local.set({ unlockAttempts: state });
+  return unlockStatus();
+}
+
+// Resets the backoff and hands back the failures since the last success
+async function recordUnlockSuccess() {
+  const state = await getUnlockState();
+  await browserAPI.storage.local.remove('unlockAttempts');
+  return state.log;
+}
+
+// --- Due Schedule ---
+// Unlocked pages publish ids and timestamps on every save (publishDueSchedule
+// in db/database.js), so the worker can tell what's due without the passphrase.
+// Each entry's site is only there as a salted hash (host_hash), enough to
+// tell whether a page belongs to a tracked account without storing the site.
+
+let scheduleSaltRequest = null;
+
+// Created on first use; extension pages fetch it with getScheduleSalt
+function getScheduleSalt() {
+  if (!scheduleSaltRequest) {
+    scheduleSaltRequest = browserAPI.storage.local.get('scheduleSalt').then(async data => {
+      if (data.scheduleSalt) return data.scheduleSalt;
+      const salt = Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('');
+      await browserAPI.storage.local.set({ scheduleSalt: salt });
+      return salt;
+    });
+  }
+  return scheduleSaltRequest;
+}
+
+// Mirrors scheduleHash in db/database.js; '' for an empty value
+async function scheduleHash(value, salt) {
+  if (!value) return '';
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${value}`));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function normalizeScheduleEntry(entry, showNames) {
+  const id = parseInt(entry?.id, 10);
+  if (!id) return null;
+  const num = (v, fallback) => Number.isFinite(v) ? v : fallback;
+  return {
+    id,
+    changed_at: num(entry.changed_at, 0),
+    interval_days: num(entry.interval_days, 90),
+    lead_days: num(entry.lead_days, 7),
+    snoozed_until: num(entry.snoozed_until, null),
+    host_hash: typeof entry.host_hash === 'string' && /^[0-9a-f]{64}$/.test(entry.host_hash) ? entry.host_hash : '',
+    name: showNames && typeof entry.name === 'string' ? entry.name.slice(0, 200) : '',
+    url: showNames && typeof entry.url === 'string' ? entry.url.slice(0, 200) : ''
+  };
+}
+
+function dueAt(entry) {
+  return entry.changed_at + entry.interval_days * DAY_MS;
+}
+
+// Mirrors calcStatus in db/database.js; exempt accounts are never published
+function scheduleStatus(entry, now) {
+  if (entry.snoozed_until && now < entry.snoozed_until) return 'snoozed';
+  const due = dueAt(entry);
+  if (now >= due) return 'overdue';
+  if (now >= due - entry.lead_days * DAY_MS) return 'due_soon';
+  return 'good';
+}
+
+async function getDueSchedule() {
+  const data = await browserAPI.storage.local.get('dueSchedule');
+  return data.dueSchedule || [];
+}
+
+async function scrubScheduleNames() {
+  const entries = await getDueSchedule();
+  await browserAPI.storage.local.set({
+    dueSchedule: entries.map(e => normalizeScheduleEntry(e, false))
+  });
+}
+
+// A fresh schedule comes from the user's own edits, so it isn't announced
+async function saveDueSchedule(entries) {
+  await browserAPI.storage.local.set({ dueSchedule: entries });
+  await checkOverdueAccounts({ announce: false });
+}
+
+// Wakes the worker when the next account changes status
+async function scheduleNextTransition(entries, now) {
+  let next = Infinity;
+  for (const entry of entries) {
+    const due = dueAt(entry);
+    for (const t of [due, due - entry.lead_days * DAY_MS, entry.snoozed_until]) {
+      if (t && t > now && t < next) next = t;
+    }
+  }
+  await browserAPI.alarms.clear('statusChange');
+  if (next !== Infinity) browserAPI.alarms.create('statusChange', { when: next + 1000 });
+}
+
+// --- Scheduling ---
+
+function minutesOf(time) {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+}
+
+// Quiet hours may wrap past midnight (22:00 - 08:00)
+function inQuietHours(settings, date = new Date()) {
+  if (!settings.quietHours) return false;
+  const now = date.getHours() * 60 + date.getMinutes();
+  const start = minutesOf(settings.quietStart);
+  const end = minutesOf(settings.quietEnd);
+  if (start === end) return false;
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+// Next local time-of-day after `from`, optionally on a given weekday
+function nextOccurrence(time, from, weekday = null) {
+  const next = new Date(from);
+  next.setHours(Math.floor(minutesOf(time) / 60), minutesOf(time) % 60, 0, 0);
+  if (weekday !== null) next.setDate(next.getDate() + (weekday - next.getDay() + 7) % 7);
+  if (next <= from) next.setDate(next.getDate() + (weekday !== null ? 7 : 1));
+  return next.getTime();
+}
+
+// One-shot alarm re-armed after each digest, so it follows DST changes
+async function scheduleDigest() {
+  const settings = await getNotificationSettings();
+  await browserAPI.alarms.clear('reminderDigest');
+  if (settings.digest === 'off') return;
+  const weekday = settings.digest === 'weekly' ? settings.digestDay : null;
+  browserAPI.alarms.create('reminderDigest', {
+    when: nextOccurrence(settings.digestTime, new Date(), weekday)
+  });
+}
+
+// --- Notifications ---
+
+async function checkOverdueAccounts({ announce = true } = {}) {
   try {
-    const data = await browserAPI.storage.local.get(['overdueCount', 'overdueNames']);
-    const count = data.overdueCount || 0;
-    const names = data.overdueNames || [];
-    updateBadge(count);
-
-    if (count > 0) {
-      // Don't spam — only notify once every 4 hours
-      const lastNotified = await browserAPI.storage.local.get('lastNotifiedTime');
-      const now = Date.now();
-      const fourHoursMs = 4 * 60 * 60 * 1000;
-
-      if (!lastNotified.lastNotifiedTime || (now - lastNotified.lastNotifiedTime) >= fourHoursMs) {
-        const nameList = names.slice(0, 3).join(', ');
-        const extra = count > 3 ? ` and ${count - 3} more` : '';
-        const message = count === 1
-          ? `${names[0] || 'An account'} needs a password refresh.`
-          : `${nameList}${extra} need password refreshes.`;
-
-        browserAPI.notifications.create('overdueReminder-' + now, {
-          type: 'basic',
-          iconUrl: browserAPI.runtime.getURL('icons/icon128.png'),
-          title: 'Able Account - Passwords Overdue!',
-          message: message,
-          priority: 2,
-          requireInteraction: true
-        });
-
-        await browserAPI.storage.local.set({ lastNotifiedTime: now });
-      }
+    const now = Date.now();
+    const data = await browserAPI.storage.local.get(['dueSchedule', 'lastStatuses']);
+    const entries = data.dueSchedule || [];
+    const previous = data.lastStatuses || {};
+    const statuses = {};
+    for (const entry of entries) statuses[entry.id] = scheduleStatus(entry, now);
+
+    updateBadge(Object.values(statuses).filter(s => s === 'overdue').length);
+
+    // Quiet hours defer announcements: known accounts keep their last
+    // announced status, so anything that changed is still new at the end
+    const settings = await getNotificationSettings();
+    const quiet = inQuietHours(settings);
+    const recorded = {};
+    for (const [id, status] of Object.entries(statuses)) {
+      recorded[id] = quiet && previous[id] ? previous[id] : status;
+    }
+    await browserAPI.storage.local.set({ lastStatuses: recorded });
+    await scheduleNextTransition(entries, now);
+
+    if (quiet) {
+      browserAPI.alarms.create('quietHoursEnd', { when: nextOccurrence(settings.quietEnd, new Date()) });
+      return;
+    }
+    if (announce) {
+      await announceTransitions(entries, previous, statuses, settings);
+      await sendEscalations(entries, now, settings);
     }
   } catch (err) {
     console.error('Error checking overdue accounts:', err);
   }
 }
 
+function accountLabel(entry) {
+  return entry.name || 'An account';
+}
+
+// Accounts that just crossed into due soon / overdue
+async function announceTransitions(entries, previous, statuses, settings) {
+  const changed = entries.filter(e => {
+    const was = previous[e.id];
+    const is = statuses[e.id];
+    if (!was || was === is) return false;
+    return (is === 'overdue' && settings.notifyOverdue) || (is === 'due_soon' && settings.notifyDueSoon);
+  });
+
+  for (const entry of changed.slice(0, MAX_NOTIFICATIONS_PER_CHECK)) {
+    const overdue = statuses[entry.id] === 'overdue';
+    const days = Math.ceil((dueAt(entry) - Date.now()) / DAY_MS);
+    await accountNotification(entry, overdue
+      ? `${accountLabel(entry)} is now overdue`
+      : `${accountLabel(entry)} is due in ${days} day${days !== 1 ? 's' : ''}`);
+  }
+}
+
+// Long-overdue accounts get their own notification, at most once a day each
+async function sendEscalations(entries, now, settings) {
+  if (!settings.notifyOverdue || !settings.escalateAfterDays) return;
+
+  const { escalatedAt = {} } = await browserAPI.storage.local.get('escalatedAt');
+  const daysOverdue = entry => Math.floor((now - dueAt(entry)) / DAY_MS);
+  const due = entries
+    .filter(e => scheduleStatus(e, now) === 'overdue' && daysOverdue(e) >= settings.escalateAfterDays)
+    .filter(e => !escalatedAt[e.id] || now - escalatedAt[e.id] >= ESCALATION_REPEAT_MS)
+    .sort((a, b) => daysOverdue(b) - daysOverdue(a))
+    .slice(0, MAX_NOTIFICATIONS_PER_CHECK);
+
+  for (const entry of due) {
+    await accountNotification(entry, `${accountLabel(entry)} is ${daysOverdue(entry)} days overdue`);
+    escalatedAt[entry.id] = now;
+  }
+  if (due.length) await browserAPI.storage.local.set({ escalatedAt });
+}
+
+// Clicking opens the site; the buttons are queued for the next unlock
+function accountNotification(entry, title) {
+  return createNotification(`account-${entry.id}`, {
+    type: 'basic',
+    iconUrl: browserAPI.runtime.getURL('icons/icon128.png'),
+    title,
+    message: entry.url
+      ? 'Click to open the site and change the password.'
+      : 'Change the password, or snooze the reminder for a day.',
+    priority: 2,
+    buttons: [{ title: 'Mark refreshed' }, { title: `Snooze ${SNOOZE_ACTION_DAYS} day` }]
+  });
+}
+
+async function sendDigest() {
+  try {
+    const settings = await getNotificationSettings();
+    if (inQuietHours(settings)) {
+      browserAPI.alarms.create('deferredDigest', { when: nextOccurrence(settings.quietEnd, new Date()) });
+      return;
+    }
+
+    const now = Date.now();
+    const entries = await getDueSchedule();
+    const lines = [];
+    if (settings.notifyOverdue) {
+      lines.push(digestLine(entries.filter(e => scheduleStatus(e, now) === 'overdue'), 'overdue'));
+    }
+    if (settings.notifyDueSoon) {
+      lines.push(digestLine(entries.filter(e => scheduleStatus(e, now) === 'due_soon'), 'due soon'));
+    }
+    const message = lines.filter(Boolean).join('\n');
+    if (!message) return;
+
+    browserAPI.notifications.create('digest', {
+      type: 'basic',
+      iconUrl: browserAPI.runtime.getURL('icons/icon128.png'),
+      title: settings.digest === 'weekly' ? 'Able Account - Weekly Reminder' : 'Able Account - Daily Reminder',
+      message,
+      priority: 1
+    });
+  } catch (err) {
+    console.error('Error sending reminder digest:', err);
+  }
+}
+
+function digestLine(entries, label) {
+  if (entries.length === 0) return '';
+  const names = entries.map(e => e.name).filter(Boolean);
+  if (names.length === 0) return `${entries.length} account${entries.length !== 1 ? 's' : ''} ${label}`;
+  const extra = entries.length > 3 ? ` and ${entries.length - 3} more` : '';
+  return `${entries.length} ${label}: ${names.slice(0, 3).join(', ')}${extra}`;
+}
+
+// Firefox rejects notification buttons — fall back to a plain notification
+async function createNotification(id, options) {
+  try {
+    await browserAPI.notifications.create(id, options);
+  } catch (err) {
+    const { buttons, ...plain } = options;
+    await browserAPI.notifications.create(id, plain);
+  }
+}
+
+// --- Notification Actions ---
+// The vault is locked here, so actions are queued and applied by the next
+// unlocked page (see applyQueuedActions in db/database.js).
+
+// Every read-modify-write of pendingActions goes through here, one at a time,
+// so an action queued while a page claims the queue is never lost
+let actionQueueChain = Promise.resolve();
+
+function withActionQueue(fn) {
+  const run = actionQueueChain.then(fn);
+  actionQueueChain = run.catch(() => {});
+  return run;
+}
+
+async function pushQueuedAction(action) {
+  await withActionQueue(async () => {
+    const data = await browserAPI.storage.local.get('pendingActions');
+    const pendingActions = data.pendingActions || [];
+    pendingActions.push(action);
+    await browserAPI.storage.local.set({ pendingActions });
+  });
+}
+
+// Hands the whole queue to one page and empties it, so the popup and the
+// dashboard never both apply the same action
+function claimQueuedActions() {
+  return withActionQueue(async () => {
+    const data = await browserAPI.storage.local.get('pendingActions');
+    const actions = data.pendingActions || [];
+    if (actions.length) await browserAPI.storage.local.remove('pendingActions');
+    return actions;
+  });
+}
+
+async function queueAccountAction(type, accountId, source = 'notification') {
+  const now = Date.now();
+  await pushQueuedAction({ type, id: accountId, at: new Date(now).toISOString(), days: SNOOZE_ACTION_DAYS, source });
+
+  // Apply it to the schedule too so the badge reflects it right away
+  const data = await browserAPI.storage.local.get('dueSchedule');
+  const entries = (data.dueSchedule || []).map(e => {
+    if (e.id !== accountId) return e;
+    return type === 'refresh'
+      ? { ...e, changed_at: now, snoozed_until: null }
+      : { ...e, snoozed_until: now + SNOOZE_ACTION_DAYS * DAY_MS };
+  });
+  await saveDueSchedule(entries);
+}
+
+// --- Detection Rules ---
+// Signup-detection overrides from Settings: a score threshold, per-signal
+// weights and extra keyword phrases. The signals are defined in shared/detection-rules.js, which merges
+// these over its defaults, so only the shape is checked here.
+
+function normalizeDetectionOverrides(value) {
+  const v = value && typeof value === 'object' ? value : {};
+  const threshold = parseInt(v.threshold, 10);
+  const weights = {};
+  const saved = v.weights && typeof v.weights === 'object' ? v.weights : {};
+  for (const [id, raw] of Object.entries(saved).slice(0, 100)) {
+    const weight = parseInt(raw, 10);
+    if (/^[a-z-]{1,40}$/.test(id) && weight >= -100 && weight <= 100) weights[id] = weight;
+  }
+  const phrases = {};
+  const lists = v.phrases && typeof v.phrases === 'object' ? v.phrases : {};
+  for (const [list, entries] of Object.entries(lists).slice(0, 20)) {
+    if (!/^[a-zA-Z]{1,40}$/.test(list) || !Array.isArray(entries)) continue;
+    const kept = entries
+      .filter(p => typeof p === 'string' && p.trim())
+      .map(p => p.trim().slice(0, 100))
+      .slice(0, 50);
+    if (kept.length) phrases[list] = kept;
+  }
+  return {
+    threshold: threshold >= 1 && threshold <= 200 ? threshold : null,
+    weights,
+    phrases
+  };
+}
+
+async function getDetectionOverrides() {
+  const data = await browserAPI.storage.local.get('detectionRules');
+  return normalizeDetectionOverrides(data.detectionRules);
+}
+
+// --- Guided Rotation ---
+// "Rotate now" opens the account's change-password page in a new tab. The
+// content script there reports when a new password was submitted and the
+// page moved on; the account is then queued as refreshed.
+
+const ROTATION_TIMEOUT_MS = 60 * 60 * 1000;
+const rotationStore = sessionStore || browserAPI.storage.local;
+
+async function getRotations() {
+  const data = await rotationStore.get('rotations');
+  const now = Date.now();
+  const rotations = {};
+  for (const [tabId, r] of Object.entries(data.rotations || {})) {
+    if (now - r.started_at < ROTATION_TIMEOUT_MS) rotations[tabId] = r;
+  }
+  return rotations;
+}
+
+async function startRotation(message) {
+  const url = siteUrl(message.url);
+  const accountId = parseInt(message.accountId, 10);
+  if (!url || !accountId) return false;
+  const tab = await browserAPI.tabs.create({ url });
+  const rotations = await getRotations();
+  rotations[tab.id] = {
+    id: accountId,
+    name: typeof message.name === 'string' ? message.name.slice(0, 200) : '',
+    started_at: Date.now(),
+    submitted_at: null
+  };
+  await rotationStore.set({ rotations });
+  return true;
+}
+
+async function updateRotation(tabId, fields) {
+  const rotations = await getRotations();
+  if (!rotations[tabId]) return null;
+  if (fields) rotations[tabId] = { ...rotations[tabId], ...fields };
+  else delete rotations[tabId];
+  await rotationStore.set({ rotations });
+  return rotations[tabId] || null;
+}
+
+async function completeRotation(tabId) {
+  const rotations = await getRotations();
+  const rotation = rotations[tabId];
+  if (!rotation) return;
+  await updateRotation(tabId, null);
+  await queueAccountAction('refresh', rotation.id, 'rotation');
+  const settings = await getNotificationSettings();
+  createNotification(`rotation-${rotation.id}`, {
+    type: 'basic',
+    iconUrl: browserAPI.runtime.getURL('icons/icon128.png'),
+    title: 'Password rotated',
+    message: `${settings.showNames && rotation.name ? rotation.name : 'The account'} was marked refreshed.`,
+    priority: 1
+  });
+}
+
+// --- Detected Password Changes ---
+// The content script spots change/reset-password forms on any site. On submit
+// it asks here whether the schedule has an account on that host (or, failing
+// that, its parent domain) and, if so, offers to mark it refreshed. Which
+// account it was is left to the next unlocked page, which knows usernames
+// (applyQueuedActions in db/database.js). The offer is kept per tab so it
+// survives the page navigating away right after the submit.
+
+const CHANGE_OFFER_TTL_MS = 2 * 60 * 1000;
+
+function hostOf(url) {
+  const full = siteUrl(url);
+  return full ? new URL(full).hostname.replace(/^www\./, '').toLowerCase() : '';
+}
+
+// "github.com" matches "gist.github.com" and the other way round
+function sameSite(a, b) {
+  return !!a && !!b && (a === b || a.endsWith('.' + b) || b.endsWith('.' + a));
+}
+
+// Mirrors parentDomain in db/database.js: "mail.google.com" -> "google.com"
+function parentDomain(host) {
+  const labels = host.split('.');
+  return labels.length > 2 ? labels.slice(1).join('.') : '';
+}
+
+// Schedule entries whose site is exactly `host`
+async function scheduleEntriesOn(entries, host, salt) {
+  const hash = await scheduleHash(host, salt);
+  return hash ? entries.filter(e => e.host_hash === hash) : [];
+}
+
+async function getChangeOffers() {
+  const data = await rotationStore.get('changeOffers');
+  const now = Date.now();
+  const offers = {};
+  for (const [tabId, o] of Object.entries(data.changeOffers || {})) {
+    if (now - o.at < CHANGE_OFFER_TTL_MS) offers[tabId] = o;
+  }
+  return offers;
+}
+
+async function setChangeOffer(tabId, offer) {
+  const offers = await getChangeOffers();
+  if (!offer && !offers[tabId]) return;
+  if (offer) offers[tabId] = offer;
+  else delete offers[tabId];
+  await rotationStore.set({ changeOffers: offers });
+}
+
+// What the banner should say: the account's name when names are shown and
+// only one account is on the site, else the site
+function describeChangeOffer(offer) {
+  if (!offer) return null;
+  return { domain: offer.domain, name: offer.name };
+}
+
+// Null when the schedule has no account on the site. The username from the
+// form is kept only as a salted hash.
+async function passwordChangeDetected(sender, username) {
+  const domain = hostOf(sender.url);
+  if (!domain) return null;
+  const [entries, settings, salt] = await Promise.all([getDueSchedule(), getNotificationSettings(), getScheduleSalt()]);
+  let matches = await scheduleEntriesOn(entries, domain, salt);
+  if (!matches.length) matches = await scheduleEntriesOn(entries, parentDomain(domain), salt);
+  if (!matches.length) return null;
+  const user = typeof username === 'string' ? username.trim().toLowerCase().slice(0, 200) : '';
+  const offer = {
+    domain,
+    user_hash: await scheduleHash(user, salt),
+    name: settings.showNames && matches.length === 1 ? matches[0].name : '',
+    at: Date.now()
+  };
+  await setChangeOffer(sender.tab.id, offer);
+  return describeChangeOffer(offer);
+}
+
+async function confirmPasswordChange(tabId) {
+  const offer = (await getChangeOffers())[tabId];
+  if (!offer) return;
+  await setChangeOffer(tabId, null);
+  await pushQueuedAction({
+    type: 'refresh',
+    domain: offer.domain,
+    user_hash: offer.user_hash,
+    at: new Date().toISOString(),
+    source: 'detector'
+  });
+}
+
+// --- Signup Sessions ---
+// Wizard-style signups spread over several pages or single-page-app routes:
+// the email on one step, the password on a later one, a welcome page at the
+// end. The content script reports each step here, per tab, so the state
+// outlives navigations and the username from the first step reaches the
+// final prompt.
+
+const SIGNUP_SESSION_IDLE_MS = 30 * 60 * 1000;
+
+async function getSignupSessions() {
+  const data = await rotationStore.get('signupSessions');
+  const now = Date.now();
+  const sessions = {};
+  for (const [tabId, s] of Object.entries(data.signupSessions || {})) {
+    if (now - s.updated_at < SIGNUP_SESSION_IDLE_MS) sessions[tabId] = s;
+  }
+  return sessions;
+}
+
+async function setSignupSession(tabId, session) {
+  const sessions = await getSignupSessions();
+  if (!session && !sessions[tabId]) return;
+  if (session) sessions[tabId] = session;
+  else delete sessions[tabId];
+  await rotationStore.set({ signupSessions: sessions });
+}
+
+// The tab's session, as long as the tab is still on the same site
+async function signupSessionFor(sender) {
+  const session = (await getSignupSessions())[sender.tab.id];
+  return session && sameSite(session.domain, hostOf(sender.url)) ? session : null;
+}
+
+// Starts the tab's session or adds a step to it. A username from a later step
+// replaces an earlier one; an empty one keeps it.
+async function recordSignupStep(sender, fields) {
+  const domain = hostOf(sender.url);
+  if (!domain) return null;
+  const existing = await signupSessionFor(sender);
+  const username = typeof fields.username === 'string' ? fields.username.trim().slice(0, 200) : '';
+  const now = Date.now();
+  const session = {
+    domain: existing ? existing.domain : domain,
+    username: username || (existing ? existing.username : ''),
+    steps: (existing ? existing.steps : 0) + (fields.prompted ? 0 : 1),
+    prompted: !!fields.prompted || (existing ? existing.prompted : false),
+    started_at: existing ? existing.started_at : now,
+    updated_at: now
+  };
+  await setSignupSession(sender.tab.id, session);
+  return session;
+}
+
+function siteUrl(url) {
+  if (!url) return null;
+  const full = /^https?:\/\//i.test(url) ? url : 'https://' + url;
+  try {
+    const parsed = new URL(full);
+    return parsed.protocol === 'https:' || parsed.protocol === 'http:' ? parsed.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Schedule and settings updates must come from our own pages, not content scripts
+function fromExtensionPage(sender) {
+  return !!sender && typeof sender.url === 'string' && sender.url.startsWith(browserAPI.runtime.getURL(''));
+}
+
 function updateBadge(count) {
   if (count > 0) {
     browserAPI.action.setBadgeText({ text: String(count) });
@@ -67,12 +795,149 @@ function updateBadge(count) {
 
 // Listen for messages from popup and content scripts
 browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.type === 'updateOverdueCount') {
-    browserAPI.storage.local.set({
-      overdueCount: message.count,
-      overdueNames: message.names || []
+  // Session unlock and auto-lock
+  if (message.type === 'storeSessionKey' && fromExtensionPage(sender)) {
+    storeSessionKey(message.key);
+  }
+
+  if (message.type === 'getSessionKey' && fromExtensionPage(sender)) {
+    takeSessionKey().then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'clearSessionKey' && fromExtensionPage(sender)) {
+    clearSessionKey();
+  }
+
+  if (message.type === 'lockAll' && fromExtensionPage(sender)) {
+    lockAll();
+  }
+
+  // Content scripts score signups with these; Settings edits them
+  if (message.type === 'getDetectionRules') {
+    getDetectionOverrides().then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'setDetectionRules' && fromExtensionPage(sender)) {
+    const overrides = normalizeDetectionOverrides(message.rules);
+    browserAPI.storage.local.set({ detectionRules: overrides }).then(() => sendResponse(overrides));
+    return true;
+  }
+
+  // An unlocked page takes the queued notification/rotation actions to apply
+  if (message.type === 'claimQueuedActions' && fromExtensionPage(sender)) {
+    claimQueuedActions().then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'getUnlockStatus' && fromExtensionPage(sender)) {
+    unlockStatus().then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'beginUnlock' && fromExtensionPage(sender)) {
+    unlockStatus().then(status => sendResponse({ allowed: !status.lockedUntil, ...status }));
+    return true;
+  }
+
+  if (message.type === 'recordUnlockFailure' && fromExtensionPage(sender)) {
+    recordUnlockFailure(message.method, sender).then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'recordUnlockSuccess' && fromExtensionPage(sender)) {
+    recordUnlockSuccess().then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'getLockSettings') {
+    getLockSettings().then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'setLockSettings' && fromExtensionPage(sender)) {
+    const settings = normalizeLockSettings(message.settings);
+    browserAPI.storage.local.set({ lockSettings: settings })
+      .then(async () => {
+        if (!settings.sessionMinutes) await clearSessionKey();
+        if (browserAPI.idle) await applyIdleDetection();
+        sendResponse(settings);
+      });
+    return true;
+  }
+
+  // Guided rotation: extension page starts it, the content script in that tab finishes it
+  if (message.type === 'startRotation' && fromExtensionPage(sender)) {
+    startRotation(message).then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'getRotation' && sender.tab) {
+    getRotations().then(rotations => {
+      const rotation = rotations[sender.tab.id];
+      sendResponse(rotation ? { submitted: !!rotation.submitted_at } : null);
     });
-    updateBadge(message.count);
+    return true;
+  }
+
+  if (message.type === 'rotationSubmitted' && sender.tab) {
+    updateRotation(sender.tab.id, { submitted_at: Date.now() });
+  }
+
+  if (message.type === 'rotationCompleted' && sender.tab) {
+    completeRotation(sender.tab.id);
+  }
+
+  // Change/reset-password form submitted on a site
+  if (message.type === 'passwordChangeDetected' && sender.tab && !fromExtensionPage(sender)) {
+    passwordChangeDetected(sender, message.username).then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'getChangeOffer' && sender.tab) {
+    getChangeOffers().then(offers => sendResponse(describeChangeOffer(offers[sender.tab.id])));
+    return true;
+  }
+
+  if (message.type === 'confirmPasswordChange' && sender.tab) {
+    confirmPasswordChange(sender.tab.id);
+  }
+
+  if (message.type === 'dismissPasswordChange' && sender.tab) {
+    setChangeOffer(sender.tab.id, null);
+  }
+
+  if (message.type === 'getScheduleSalt' && fromExtensionPage(sender)) {
+    getScheduleSalt().then(sendResponse);
+    return true;
+  }
+
+  // Unlocked page saved — replace the due schedule
+  if (message.type === 'updateDueSchedule' && fromExtensionPage(sender) && Array.isArray(message.accounts)) {
+    getNotificationSettings().then(settings => saveDueSchedule(
+      message.accounts.slice(0, 5000)
+        .map(entry => normalizeScheduleEntry(entry, settings.showNames))
+        .filter(Boolean)
+    ));
+  }
+
+  // Settings modal reading / saving the reminder schedule
+  if (message.type === 'getNotificationSettings') {
+    getNotificationSettings().then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'setNotificationSettings' && fromExtensionPage(sender)) {
+    const settings = normalizeNotificationSettings(message.settings);
+    browserAPI.storage.local.set({ notificationSettings: settings })
+      .then(async () => {
+        // Turning names off scrubs the copy already stored
+        if (!settings.showNames) await scrubScheduleNames();
+        await scheduleDigest();
+        sendResponse(settings);
+      });
+    return true;
   }
 
   // Content script detected a new signup
@@ -80,14 +945,34 @@ browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
     // Validate required fields before processing
     const data = message.data;
     if (data && typeof data.service_name === 'string' && typeof data.url === 'string') {
-      handleNewAccountDetected({
+      const detected = {
         service_name: data.service_name.slice(0, 200),
         url: data.url.slice(0, 200),
         username: typeof data.username === 'string' ? data.username.slice(0, 200) : ''
+      };
+      // A multi-step signup may have asked for the email pages ago
+      const session = sender.tab && !fromExtensionPage(sender) ? signupSessionFor(sender) : null;
+      Promise.resolve(session).then(s => {
+        if (!detected.username && s) detected.username = s.username;
+        handleNewAccountDetected(detected);
       });
     }
   }
 
+  // Multi-step signups: a step was submitted, or the prompt was shown
+  if ((message.type === 'signupStep' || message.type === 'signupPrompted') && sender.tab && !fromExtensionPage(sender)) {
+    recordSignupStep(sender, {
+      username: message.username,
+      prompted: message.type === 'signupPrompted'
+    }).then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'getSignupSession' && sender.tab && !fromExtensionPage(sender)) {
+    signupSessionFor(sender).then(sendResponse);
+    return true;
+  }
+
   // Popup asking for pending detected accounts
   if (message.type === 'getPendingAccounts') {
     browserAPI.storage.local.get('pendingAccounts').then(data => {
@@ -134,11 +1019,39 @@ async function handleNewAccountDetected(accountData) {
   });
 }
 
-// Open popup when user clicks a notification
-browserAPI.notifications.onClicked.addListener(() => {
+// Account notifications open the site; anything else opens the popup
+browserAPI.notifications.onClicked.addListener(async (notificationId) => {
+  if (notificationId.startsWith('account-')) {
+    const accountId = parseInt(notificationId.slice('account-'.length), 10);
+    const entries = await getDueSchedule();
+    const url = siteUrl(entries.find(e => e.id === accountId)?.url);
+    browserAPI.notifications.clear(notificationId);
+    if (url) {
+      browserAPI.tabs.create({ url });
+      return;
+    }
+  }
   try {
     browserAPI.action.openPopup();
   } catch (e) {
     // openPopup may fail if user gesture is not available — ignore
   }
 });
+
+// Not available in Firefox, which never shows the buttons
+if (browserAPI.notifications.onButtonClicked) {
+  browserAPI.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+    if (!notificationId.startsWith('account-')) return;
+    const accountId = parseInt(notificationId.slice('account-'.length), 10);
+    await queueAccountAction(buttonIndex === 0 ? 'refresh' : 'snooze', accountId);
+    browserAPI.notifications.clear(notificationId);
+  });
+}
+
+// A closed tab ends its rotation, change offer or signup session without
+// marking anything
+browserAPI.tabs.onRemoved.addListener((tabId) => {
+  updateRotation(tabId, null);
+  setChangeOffer(tabId, null);
+  setSignupSession(tabId, null);
+});
@@ -6,78 +6,46 @@
 
   const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 
-  // Track if we already prompted on this page
+  // Track if we already prompted on this page (or earlier in this signup)
   let prompted = false;
   let formsWatched = false;
   let mutationObserver = null;
+  let observeTimer = null;
 
   // --- Signup Detection ---
 
-  // Keywords that indicate a signup form
-  const SIGNUP_BUTTON_KEYWORDS = [
-    'sign up', 'signup', 'create account', 'register', 'get started',
-    'join now', 'join free', 'start free', 'create your account',
-    'open account', 'set up account', 'make an account'
-  ];
-
-  const SIGNUP_URL_KEYWORDS = [
-    '/signup', '/sign-up', '/register', '/create-account',
-    '/join', '/enrollment', '/onboarding', '/new-account'
-  ];
-
-  const CONFIRM_PAGE_KEYWORDS = [
-    '/welcome', '/success', '/confirm', '/verify',
-    '/thank-you', '/thankyou', '/get-started',
-    '/callback', '/auth/callback', '/oauth/callback',
-    '/dashboard', '/home', '/account'
-  ];
-
-  // OAuth provider domains — when the user returns FROM these, they likely just signed up
-  const OAUTH_PROVIDERS = [
-    'accounts.google.com',
-    'appleid.apple.com',
-    'www.facebook.com',
-    'github.com/login/oauth',
-    'login.microsoftonline.com',
-    'twitter.com/i/oauth',
-    'x.com/i/oauth',
-    'discord.com/oauth2',
-    'login.yahoo.com',
-    'amazon.com/ap/oa',
-    'api.linkedin.com'
-  ];
-
-  // "Sign in with" button keywords for OAuth detection
-  const OAUTH_BUTTON_KEYWORDS = [
-    'sign in with', 'sign up with', 'continue with',
-    'log in with', 'login with', 'register with',
-    'connect with', 'sign in using', 'sign up using'
-  ];
+  // Keywords, signals and weights live in shared/detection-rules.js; Settings
+  // overrides arrive from the service worker before anything is scored
+  let rules = normalizeDetectionRules(null, pageLocales());
 
-  function hasConfirmPasswordField(form) {
-    const inputs = form.querySelectorAll('input[type="password"]');
-    return inputs.length >= 2;
+  // Keyword packs for the page's language and the browser's
+  function pageLocales() {
+    return detectionLocales([document.documentElement.lang, ...(navigator.languages || [navigator.language])]);
   }
 
-  function hasSignupButton(form) {
-    const buttons = form.querySelectorAll('button, input[type="submit"], a[role="button"]');
-    for (const btn of buttons) {
-      const text = (btn.textContent || btn.value || '').toLowerCase().trim();
-      if (SIGNUP_BUTTON_KEYWORDS.some(kw => text.includes(kw))) {
-        return true;
-      }
+  function loadRules() {
+    let request;
+    try {
+      request = browserAPI.runtime.sendMessage({ type: 'getDetectionRules' });
+    } catch (e) {
+      return Promise.resolve();
     }
-    return false;
+    return Promise.resolve(request)
+      .then(saved => { rules = normalizeDetectionRules(saved, pageLocales()); })
+      .catch(() => {});
+  }
+
+  function hasConfirmPasswordField(form) {
+    const inputs = form.querySelectorAll('input[type="password"]');
+    return inputs.length >= 2;
   }
 
-  function isSignupURL() {
-    const url = window.location.href.toLowerCase();
-    return SIGNUP_URL_KEYWORDS.some(kw => url.includes(kw));
+  function currentPage() {
+    return pageSnapshot(document, window.location.href, !!signupSession);
   }
 
-  function isConfirmPage() {
-    const url = window.location.href.toLowerCase();
-    return CONFIRM_PAGE_KEYWORDS.some(kw => url.includes(kw));
+  function isSignupForm(form) {
+    return scoreSignupForm(form, currentPage(), rules).confident;
   }
 
   function extractEmailFromForm(form) {
@@ -123,7 +91,7 @@
 
     try {
       const refHost = new URL(referrer).hostname;
-      const isFromOAuth = OAUTH_PROVIDERS.some(provider => {
+      const isFromOAuth = rules.keywords.oauthProviders.some(provider => {
         const providerHost = provider.split('/')[0];
         return refHost === providerHost || refHost.endsWith('.' + providerHost);
       });
@@ -132,18 +100,11 @@
 
       // We came from an OAuth provider — check if this looks like a first-time landing
       const url = window.location.href.toLowerCase();
-      const isCallbackOrWelcome = CONFIRM_PAGE_KEYWORDS.some(kw => url.includes(kw))
+      const isCallbackOrWelcome = keywordMatch(url, rules.keywords.confirmUrl)
         || url.includes('/oauth') || url.includes('/auth')
         || url.includes('/sso');
 
-      const pageText = document.body?.innerText?.toLowerCase() || '';
-      const welcomeSignals = [
-        'welcome', 'get started', 'set up your', 'complete your profile',
-        'account created', 'you\'re all set', 'thanks for joining',
-        'choose a username', 'pick a plan', 'almost done',
-        'finish setting up', 'one more step', 'personalize'
-      ];
-      const hasWelcomeText = welcomeSignals.some(s => pageText.includes(s));
+      const hasWelcomeText = keywordMatch(currentPage().text, rules.keywords.welcomeText);
 
       return isCallbackOrWelcome || hasWelcomeText;
     } catch (e) {
@@ -160,7 +121,7 @@
       if (!target) return;
 
       const text = (target.textContent || target.getAttribute('aria-label') || '').toLowerCase().trim();
-      const isOAuthBtn = OAUTH_BUTTON_KEYWORDS.some(kw => text.includes(kw));
+      const isOAuthBtn = keywordMatch(text, rules.keywords.oauthButton);
 
       if (!isOAuthBtn) return;
 
@@ -200,7 +161,7 @@
       if (getDomain() === data.domain && elapsed < 5 * 60 * 1000) {
         // Check for signs of a logged-in state
         const url = window.location.href.toLowerCase();
-        const isPostAuth = CONFIRM_PAGE_KEYWORDS.some(kw => url.includes(kw))
+        const isPostAuth = keywordMatch(url, rules.keywords.confirmUrl)
           || url.includes('/dashboard') || url.includes('/home')
           || url.includes('/feed') || url.includes('/app');
 
@@ -224,13 +185,58 @@
   function showPrompt(username) {
     if (prompted) return;
     prompted = true;
+    // Fall back to the email from an earlier step of a multi-step signup
+    username = username || (signupSession ? signupSession.username : '');
+    browserAPI.runtime.sendMessage({ type: 'signupPrompted', username });
 
     // Stop observing DOM — no longer needed
-    if (mutationObserver) mutationObserver.disconnect();
+    stopObserving();
 
     const domain = getDomain();
     const serviceName = getServiceName();
 
+    const { banner, addBtn, dismissBtn } = createBanner({
+      title: `New account detected on ${serviceName}`,
+      lead: 'Add ',
+      highlight: domain,
+      tail: ' to Able Account?',
+      actionLabel: 'Add'
+    });
+
+    // Handle Add
+    addBtn.addEventListener('click', () => {
+      browserAPI.runtime.sendMessage({
+        type: 'newAccountDetected',
+        data: {
+          service_name: serviceName,
+          url: domain,
+          username: username || ''
+        }
+      });
+      dismissBanner(banner);
+    });
+
+    // Handle Dismiss
+    dismissBtn.addEventListener('click', () => {
+      dismissBanner(banner);
+    });
+
+    // Auto-dismiss after 15 seconds
+    setTimeout(() => {
+      if (document.getElementById('able-account-banner')) {
+        dismissBanner(banner);
+      }
+    }, 15000);
+  }
+
+  function dismissBanner(banner) {
+    banner.style.animation = 'ableSlideOut 0.25s ease-in forwards';
+    setTimeout(() => banner.remove(), 250);
+  }
+
+  // Builds and shows the banner; the caller wires up the two buttons.
+  // `highlight` is shown bold between `lead` and `tail`.
+  function createBanner({ title, lead, highlight, tail, actionLabel }) {
     // Create the notification banner using DOM methods to avoid innerHTML XSS
     const banner = document.createElement('div');
     banner.id = 'able-account-banner';
@@ -247,13 +253,13 @@
     const textDiv = document.createElement('div');
     textDiv.id = 'able-account-text';
     const strong = document.createElement('strong');
-    strong.textContent = `New account detected on ${serviceName}`;
+    strong.textContent = title;
     const span = document.createElement('span');
-    span.textContent = 'Add ';
+    span.textContent = lead;
     const bold = document.createElement('b');
-    bold.textContent = domain;
+    bold.textContent = highlight;
     span.appendChild(bold);
-    span.appendChild(document.createTextNode(' to Able Account?'));
+    span.appendChild(document.createTextNode(tail));
     textDiv.appendChild(strong);
     textDiv.appendChild(span);
 
@@ -262,7 +268,7 @@
     actionsDiv.id = 'able-account-actions';
     const addBtn = document.createElement('button');
     addBtn.id = 'able-account-add';
-    addBtn.textContent = 'Add';
+    addBtn.textContent = actionLabel;
     const dismissBtn = document.createElement('button');
     dismissBtn.id = 'able-account-dismiss';
     dismissBtn.textContent = 'Dismiss';
@@ -363,35 +369,7 @@
     document.head.appendChild(style);
     document.body.appendChild(banner);
 
-    // Handle Add
-    addBtn.addEventListener('click', () => {
-      browserAPI.runtime.sendMessage({
-        type: 'newAccountDetected',
-        data: {
-          service_name: serviceName,
-          url: domain,
-          username: username || ''
-        }
-      });
-      dismissBanner(banner);
-    });
-
-    // Handle Dismiss
-    dismissBtn.addEventListener('click', () => {
-      dismissBanner(banner);
-    });
-
-    // Auto-dismiss after 15 seconds
-    setTimeout(() => {
-      if (document.getElementById('able-account-banner')) {
-        dismissBanner(banner);
-      }
-    }, 15000);
-  }
-
-  function dismissBanner(banner) {
-    banner.style.animation = 'ableSlideOut 0.25s ease-in forwards';
-    setTimeout(() => banner.remove(), 250);
+    return { banner, addBtn, dismissBtn };
   }
 
   // --- Form Submit Listener ---
@@ -404,40 +382,70 @@
       const form = e.target;
       if (!form || form.tagName !== 'FORM') return;
 
-      const isSignup = (hasConfirmPasswordField(form) && (hasSignupButton(form) || isSignupURL()))
-        || (hasSignupButton(form) && isSignupURL());
-
-      if (isSignup) {
+      const score = scoreSignupForm(form, currentPage(), rules);
+      if (score.confident) {
         const email = extractEmailFromForm(form);
         // Delay slightly so the form can submit
         setTimeout(() => showPrompt(email), 500);
+      } else if (score.score >= rules.threshold / 2 && !prompted) {
+        // Looks like one step of a longer signup
+        recordSignupStep(form);
+      } else if (isPasswordChangeForm(form)) {
+        onPasswordChangeSubmit(form);
       }
     }, true);
   }
 
+  // --- Signup Sessions ---
+  // Steps of a multi-step signup (the email on one page, the password on a
+  // later one) are reported to the service worker, which keeps them per tab
+  // across page loads. An open session makes later password forms and
+  // confirmation pages count, and supplies the email for the prompt.
+
+  let signupSession = null;
+
+  function loadSignupSession() {
+    let request;
+    try {
+      request = browserAPI.runtime.sendMessage({ type: 'getSignupSession' });
+    } catch (e) {
+      return Promise.resolve();
+    }
+    return Promise.resolve(request)
+      .then(session => {
+        signupSession = session || null;
+        // Already offered earlier in this signup
+        if (signupSession && signupSession.prompted) prompted = true;
+      })
+      .catch(() => {});
+  }
+
+  function recordSignupStep(form) {
+    Promise.resolve(browserAPI.runtime.sendMessage({
+      type: 'signupStep',
+      username: extractEmailFromForm(form)
+    }))
+      .then(session => {
+        if (!session) return;
+        signupSession = session;
+        observeRoutes();
+      })
+      .catch(() => {});
+  }
+
   // --- Page Load Detection ---
 
   function checkOnLoad() {
     // Check if this looks like a post-signup confirmation page
-    if (isConfirmPage()) {
-      const pageText = document.body?.innerText?.toLowerCase() || '';
-      const confirmPhrases = [
-        'account created', 'registration complete', 'welcome to',
-        'thanks for signing up', 'thank you for registering',
-        'verify your email', 'check your email', 'account has been created',
-        'successfully registered', 'you\'re all set'
-      ];
-
-      if (confirmPhrases.some(phrase => pageText.includes(phrase))) {
-        const email = extractEmailFromPage();
-        showPrompt(email);
-      }
+    if (scoreConfirmationPage(currentPage(), rules).confident) {
+      const email = extractEmailFromPage();
+      showPrompt(email);
     }
 
     // Also scan for signup forms currently visible on the page
     const forms = document.querySelectorAll('form');
     for (const form of forms) {
-      if (hasConfirmPasswordField(form) || (hasSignupButton(form) && isSignupURL())) {
+      if (isSignupForm(form)) {
         // This page has a signup form — watch for submission
         watchForms();
         return;
@@ -445,52 +453,219 @@
     }
   }
 
-  // --- MutationObserver for SPAs ---
+  // --- Route Changes ---
+  // Single-page apps switch routes with history.pushState, which content
+  // scripts can't hook (it runs in the page's own JS world). A changed URL is
+  // noticed instead, on popstate, Navigation API events where supported and
+  // DOM mutations, and the new route is checked like a fresh page load.
+
+  const OBSERVE_MS = 120000;
+  const ROUTE_SETTLE_MS = 1000;
+
+  let lastUrl = window.location.href;
 
   function watchForDynamicForms() {
     mutationObserver = new MutationObserver(() => {
       if (prompted) {
-        mutationObserver.disconnect();
+        stopObserving();
         return;
       }
-      const forms = document.querySelectorAll('form');
-      for (const form of forms) {
-        if (hasConfirmPasswordField(form) || (hasSignupButton(form) && isSignupURL())) {
-          watchForms();
-          return;
-        }
-      }
+      checkRouteChange();
     });
+    observeRoutes();
+  }
 
+  function observeRoutes() {
+    if (prompted || !mutationObserver) return;
     mutationObserver.observe(document.body, { childList: true, subtree: true });
+    extendObserving();
+  }
+
+  // Stop after 2 minutes without a route change so long-lived pages stay
+  // cheap; an open signup session keeps it going
+  function extendObserving() {
+    clearTimeout(observeTimer);
+    observeTimer = setTimeout(() => {
+      if (signupSession && !prompted) extendObserving();
+      else stopObserving();
+    }, OBSERVE_MS);
+  }
+
+  function stopObserving() {
+    clearTimeout(observeTimer);
+    if (mutationObserver) mutationObserver.disconnect();
+  }
 
-    // Stop observing after 2 minutes to prevent memory leak on long-lived pages
+  function checkRouteChange() {
+    if (window.location.href === lastUrl) return;
+    lastUrl = window.location.href;
+    observeRoutes();
+    // Give the new route a moment to render before reading it
     setTimeout(() => {
-      if (mutationObserver) mutationObserver.disconnect();
-    }, 120000);
+      if (!prompted) checkOnLoad();
+    }, ROUTE_SETTLE_MS);
   }
 
-  // --- Init ---
+  function watchRouteChanges() {
+    window.addEventListener('popstate', checkRouteChange);
+    if (window.navigation) window.navigation.addEventListener('navigatesuccess', checkRouteChange);
+  }
 
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-      checkOnLoad();
-      watchForms();
-      watchForDynamicForms();
-      watchOAuthButtons();
-      checkOAuthSessionReturn();
-      if (checkOAuthReturn()) {
-        showPrompt(extractEmailFromPage());
-      }
+  // --- Password Change Detection ---
+  // Change and reset forms on any site. Signals: a current-password field next
+  // to a new one, or new + confirm fields with change/reset wording nearby.
+  // Signup forms look the same, so anything the signup rules claim is skipped.
+
+  const CHANGE_OFFER_DISMISS_MS = 20000;
+
+  let rotationActive = false;
+
+  function fieldHint(input) {
+    return [input.name, input.id, input.placeholder, input.getAttribute('aria-label')]
+      .join(' ').toLowerCase();
+  }
+
+  function passwordFieldRoles(form) {
+    const fields = Array.from(form.querySelectorAll('input[type="password"]'));
+    const autocomplete = f => (f.getAttribute('autocomplete') || '').toLowerCase();
+    return {
+      count: fields.length,
+      current: fields.some(f => autocomplete(f).includes('current-password') || /current|old|existing/.test(fieldHint(f))),
+      fresh: fields.some(f => autocomplete(f).includes('new-password') || /new/.test(fieldHint(f)))
+    };
+  }
+
+  function hasChangePasswordText(form) {
+    const text = ((form.innerText || form.textContent || '') + ' ' + document.title).toLowerCase();
+    return keywordMatch(text, rules.keywords.changePassword);
+  }
+
+  function isChangePasswordURL() {
+    return keywordMatch(window.location.href, rules.keywords.changePasswordUrl);
+  }
+
+  function isPasswordChangeForm(form) {
+    const roles = passwordFieldRoles(form);
+    if (roles.count === 0 || isSignupForm(form)) return false;
+    if (roles.current && (roles.fresh || roles.count >= 2)) return true;
+    return (roles.fresh || roles.count >= 2) && (hasChangePasswordText(form) || isChangePasswordURL());
+  }
+
+  // The username, if the form carries one, tells apart several logins on a site
+  function onPasswordChangeSubmit(form) {
+    if (rotationActive) return;
+    const username = extractEmailFromForm(form);
+    Promise.resolve(browserAPI.runtime.sendMessage({ type: 'passwordChangeDetected', username }))
+      .then(offer => { if (offer) showChangeOffer(offer); })
+      .catch(() => {});
+  }
+
+  // The page may have navigated since the submit; pick the offer back up
+  function checkChangeOffer() {
+    Promise.resolve(browserAPI.runtime.sendMessage({ type: 'getChangeOffer' }))
+      .then(offer => { if (offer) showChangeOffer(offer); })
+      .catch(() => {});
+  }
+
+  function showChangeOffer(offer) {
+    if (document.getElementById('able-account-banner')) return;
+    const { banner, addBtn, dismissBtn } = createBanner({
+      title: 'Password changed?',
+      lead: 'Mark ',
+      highlight: offer.name || offer.domain,
+      tail: ' refreshed in Able Account?',
+      actionLabel: 'Mark refreshed'
     });
-  } else {
+
+    addBtn.addEventListener('click', () => {
+      browserAPI.runtime.sendMessage({ type: 'confirmPasswordChange' });
+      dismissBanner(banner);
+    });
+
+    dismissBtn.addEventListener('click', () => {
+      browserAPI.runtime.sendMessage({ type: 'dismissPasswordChange' });
+      dismissBanner(banner);
+    });
+
+    // Left alone, the offer stays with the service worker until it expires
+    setTimeout(() => {
+      if (banner.isConnected) dismissBanner(banner);
+    }, CHANGE_OFFER_DISMISS_MS);
+  }
+
+  // --- Guided Rotation ---
+  // Only active in a tab opened from "Rotate now". A submitted new password
+  // followed by a new page (or, in single-page apps, the form going away)
+  // counts as done; the service worker then marks the account refreshed.
+  // Any new-password form counts here, since we know why the tab is open.
+
+  const ROTATION_SETTLE_MS = 4000;
+
+  function isRotationForm(form) {
+    return isPasswordChangeForm(form)
+      || !!form.querySelector('input[autocomplete~="new-password"]')
+      || hasConfirmPasswordField(form);
+  }
+
+  function checkRotation() {
+    let request;
+    try {
+      request = browserAPI.runtime.sendMessage({ type: 'getRotation' });
+    } catch (e) {
+      return;
+    }
+    Promise.resolve(request).then(rotation => {
+      if (!rotation) {
+        checkChangeOffer();
+        return;
+      }
+      // Not a signup, whatever the form looks like
+      prompted = true;
+      rotationActive = true;
+      if (rotation.submitted && !Array.from(document.querySelectorAll('form')).some(isRotationForm)) {
+        browserAPI.runtime.sendMessage({ type: 'rotationCompleted' });
+        return;
+      }
+      watchRotationSubmit();
+    }).catch(() => {});
+  }
+
+  function watchRotationSubmit() {
+    document.addEventListener('submit', (e) => {
+      const form = e.target;
+      if (!form || form.tagName !== 'FORM' || !isRotationForm(form)) return;
+      browserAPI.runtime.sendMessage({ type: 'rotationSubmitted' });
+
+      // Still here after a while: done if the form was removed or cleared
+      setTimeout(() => {
+        const fields = Array.from(form.querySelectorAll('input[type="password"]'));
+        if (!form.isConnected || fields.every(f => !f.value)) {
+          browserAPI.runtime.sendMessage({ type: 'rotationCompleted' });
+        }
+      }, ROTATION_SETTLE_MS);
+    }, true);
+  }
+
+  // --- Init ---
+
+  function start() {
+    checkRotation();
     checkOnLoad();
     watchForms();
     watchForDynamicForms();
+    watchRouteChanges();
     watchOAuthButtons();
     checkOAuthSessionReturn();
     if (checkOAuthReturn()) {
       showPrompt(extractEmailFromPage());
     }
   }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+      Promise.all([loadRules(), loadSignupSession()]).then(start);
+    });
+  } else {
+    Promise.all([loadRules(), loadSignupSession()]).then(start);
+  }
 })();
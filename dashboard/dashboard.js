@@ -0,0 +1,828 @@
+// State
+let allAccounts = [];
+let selectedIds = new Set();
+let detailId = null;
+let sortKey = 'service_name';
+let sortDir = 'asc';
+let currentSearch = '';
+let debounceTimer = null;
+let confirmAction = null;
+let eventsBound = false;
+let pendingChanges = [];
+const columnFilters = {
+  status: '',
+  service_name: '',
+  url: '',
+  username: '',
+  category: '',
+  tag: '',
+  due_within: ''
+};
+
+// DOM refs — lock screen
+const lockScreen = document.getElementById('lock-screen');
+const lockSubtitle = document.getElementById('lock-subtitle');
+const lockForm = document.getElementById('lock-form');
+const lockPassphrase = document.getElementById('lock-passphrase');
+const lockError = document.getElementById('lock-error');
+const lockSubmit = document.getElementById('lock-submit');
+const lockPasskey = document.getElementById('lock-passkey');
+
+// DOM refs — main app
+const appEl = document.getElementById('app');
+const countBadge = document.getElementById('account-count');
+const searchInput = document.getElementById('search-input');
+const lockBtn = document.getElementById('lock-btn');
+const filterInfo = document.getElementById('filter-info');
+const clearFiltersBtn = document.getElementById('clear-filters');
+const exportCsvBtn = document.getElementById('export-csv');
+const exportReportBtn = document.getElementById('export-report');
+const filterInputs = document.querySelectorAll('[data-filter]');
+const sortHeaders = document.querySelectorAll('th[data-sort]');
+const selectAll = document.getElementById('select-all');
+const rowsEl = document.getElementById('account-rows');
+const emptyState = document.getElementById('empty-state');
+const emptyMessage = document.getElementById('empty-message');
+const bulkBar = document.getElementById('bulk-bar');
+const bulkCount = document.getElementById('bulk-count');
+const bulkClear = document.getElementById('bulk-clear');
+const detailEmpty = document.getElementById('detail-empty');
+const detailContent = document.getElementById('detail-content');
+const detailForm = document.getElementById('detail-form');
+const confirmOverlay = document.getElementById('confirm-overlay');
+const confirmTitle = document.getElementById('confirm-title');
+const confirmMessage = document.getElementById('confirm-message');
+const confirmCancel = document.getElementById('confirm-cancel');
+const confirmOk = document.getElementById('confirm-ok');
+const attemptsOverlay = document.getElementById('attempts-overlay');
+const changeOverlay = document.getElementById('change-overlay');
+
+// --- Init ---
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const state = await getDBState();
+  if (state !== 'encrypted') {
+    // Setup (and plaintext migration) happens in the popup
+    lockSubtitle.textContent = 'Open the Able Account popup from the toolbar to create your passphrase first.';
+    lockForm.classList.add('hidden');
+    return;
+  }
+  bindLockEvents();
+  onLockEverywhere(handleLock);
+
+  // A recent unlock kept by the service worker skips the passphrase
+  try {
+    if (await resumeSession()) {
+      await showApp();
+      return;
+    }
+  } catch (err) {
+    console.error('Session resume failed:', err);
+  }
+  refreshLockout();
+  lockPasskey.classList.toggle('hidden', !passkeySupported() || !(await storedVaultHasPasskey()));
+  lockPassphrase.focus();
+});
+
+function bindLockEvents() {
+  lockPasskey.addEventListener('click', unlockWithPasskey);
+
+  lockForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    lockError.classList.add('hidden');
+
+    lockSubmit.disabled = true;
+    lockSubmit.textContent = 'Decrypting...';
+
+    try {
+      await initDB(lockPassphrase.value);
+      lockPassphrase.value = '';
+      await showApp();
+    } catch (err) {
+      if (err.message === 'WRONG_PASSPHRASE') {
+        showLockError('Wrong passphrase. Please try again.');
+        lockPassphrase.value = '';
+        lockPassphrase.focus();
+      } else if (err.message === 'LOCKED_OUT') {
+        showLockError('Too many failed attempts. Wait for the timer before trying again.');
+      } else if (err.message === 'UNSUPPORTED_SCHEMA') {
+        showLockError('This data was saved by a newer version of Able Account. Please update the extension.');
+      } else if (err.message === 'KDF_UNAVAILABLE' || err.message === 'UNSUPPORTED_KDF') {
+        showLockError('Your passphrase uses a key derivation this version of Able Account can\'t run. Please update the extension.');
+      } else {
+        showLockError('Failed to open database. Try again.');
+        console.error('DB init error:', err);
+      }
+    } finally {
+      lockSubmit.disabled = false;
+      lockSubmit.textContent = 'Unlock';
+    }
+    if (!db) await refreshLockout();
+  });
+}
+
+async function unlockWithPasskey() {
+  lockError.classList.add('hidden');
+  lockPasskey.disabled = true;
+  try {
+    await initDBWithPasskey();
+    await showApp();
+  } catch (err) {
+    if (err.message === 'LOCKED_OUT') {
+      showLockError('Too many failed attempts. Wait for the timer before trying again.');
+    } else if (passkeyErrorText(err.message)) {
+      showLockError(passkeyErrorText(err.message));
+    } else {
+      showLockError('Failed to open database. Try again.');
+      console.error('Passkey unlock error:', err);
+    }
+  } finally {
+    lockPasskey.disabled = false;
+  }
+  if (!db) await refreshLockout();
+}
+
+// The service worker holds the backoff; mirror it as a countdown on the button
+async function refreshLockout() {
+  const until = await getUnlockLockout();
+  if (!until) return;
+  startLockoutCountdown(until, (remaining) => {
+    lockSubmit.disabled = true;
+    lockSubmit.textContent = `Try again in ${remaining}`;
+  }, () => {
+    lockSubmit.disabled = false;
+    lockSubmit.textContent = 'Unlock';
+  });
+}
+
+async function showApp() {
+  const applied = await applyQueuedActions();
+  lockScreen.classList.add('hidden');
+  appEl.classList.remove('hidden');
+  bindEvents();
+  loadAccounts();
+  if (applied) showToast(`Applied ${applied} action${applied !== 1 ? 's' : ''} from notifications`);
+  const changes = takeUnresolvedChanges();
+  if (changes.length) openChangePicker(changes);
+  const failures = takeFailedUnlocks();
+  if (failures.length) openAttemptsModal(failures);
+  const lockSettings = await fetchLockSettings();
+  startAutoLock(lockSettings.autoLockMinutes, lockAllPages);
+}
+
+function showLockError(msg) {
+  lockError.textContent = msg;
+  lockError.classList.remove('hidden');
+}
+
+// Lock button and inactivity also end the session and lock the popup
+function lockAllPages() {
+  lockEverywhere();
+  handleLock();
+}
+
+function handleLock() {
+  stopAutoLock();
+  lockDB();
+  allAccounts = [];
+  selectedIds.clear();
+  detailId = null;
+  rowsEl.innerHTML = '';
+  appEl.classList.add('hidden');
+  lockScreen.classList.remove('hidden');
+  lockError.classList.add('hidden');
+  attemptsOverlay.classList.add('hidden');
+  closeChangePicker();
+  refreshLockout();
+  lockPassphrase.focus();
+}
+
+// --- Events ---
+
+function bindEvents() {
+  if (eventsBound) return;
+  eventsBound = true;
+
+  watchForExternalChanges({
+    onReload: () => loadAccounts(),
+    onLock: () => {
+      handleLock();
+      showLockError('Your data was re-keyed in another window. Unlock again to continue.');
+    }
+  });
+
+  lockBtn.addEventListener('click', lockAllPages);
+
+  bindIntervalToCategory(
+    document.getElementById('detail-category'),
+    document.getElementById('detail-interval')
+  );
+
+  exportCsvBtn.addEventListener('click', () => confirmReportExport('csv'));
+  exportReportBtn.addEventListener('click', () => confirmReportExport('html'));
+
+  searchInput.addEventListener('input', () => {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+      currentSearch = searchInput.value.trim();
+      renderTable();
+    }, 150);
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (!lockScreen.classList.contains('hidden')) return;
+    const typing = ['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement.tagName);
+    if (e.key === '/' && !typing) {
+      e.preventDefault();
+      searchInput.focus();
+    }
+    if (e.key === 'Escape' && !confirmOverlay.classList.contains('hidden')) {
+      closeConfirm();
+    } else if (e.key === 'Escape' && !attemptsOverlay.classList.contains('hidden')) {
+      attemptsOverlay.classList.add('hidden');
+    } else if (e.key === 'Escape') {
+      closeChangePicker();
+    }
+  });
+
+  // Column filters
+  filterInputs.forEach(input => {
+    const eventName = input.tagName === 'SELECT' ? 'change' : 'input';
+    input.addEventListener(eventName, () => {
+      columnFilters[input.dataset.filter] = input.value.trim();
+      renderTable();
+    });
+  });
+
+  clearFiltersBtn.addEventListener('click', () => {
+    filterInputs.forEach(input => {
+      input.value = '';
+      columnFilters[input.dataset.filter] = '';
+    });
+    searchInput.value = '';
+    currentSearch = '';
+    renderTable();
+  });
+
+  // Sorting — click a header to sort, click again to reverse
+  sortHeaders.forEach(th => {
+    th.addEventListener('click', () => {
+      if (sortKey === th.dataset.sort) {
+        sortDir = sortDir === 'asc' ? 'desc' : 'asc';
+      } else {
+        sortKey = th.dataset.sort;
+        sortDir = 'asc';
+      }
+      renderTable();
+    });
+  });
+
+  // Selection
+  selectAll.addEventListener('change', () => {
+    const visible = getVisibleAccounts();
+    if (selectAll.checked) visible.forEach(a => selectedIds.add(a.id));
+    else visible.forEach(a => selectedIds.delete(a.id));
+    renderTable();
+  });
+
+  rowsEl.addEventListener('click', (e) => {
+    const row = e.target.closest('tr[data-id]');
+    if (!row) return;
+    const id = parseInt(row.dataset.id, 10);
+    if (e.target.matches('input[type="checkbox"]')) {
+      if (e.target.checked) selectedIds.add(id);
+      else selectedIds.delete(id);
+      row.classList.toggle('selected', e.target.checked);
+      renderBulkBar();
+      syncSelectAll();
+      return;
+    }
+    showDetail(id);
+  });
+
+  bulkClear.addEventListener('click', () => {
+    selectedIds.clear();
+    renderTable();
+  });
+
+  document.querySelectorAll('[data-bulk]').forEach(btn => {
+    btn.addEventListener('click', () => handleBulkAction(btn.dataset.bulk));
+  });
+
+  // Detail pane
+  detailForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    await saveDetail();
+  });
+
+  document.getElementById('detail-refresh').addEventListener('click', async () => {
+    if (detailId === null) return;
+    await markRefreshed(detailId);
+    loadAccounts();
+    showToast('Marked as refreshed');
+  });
+
+  document.getElementById('detail-rotate').addEventListener('click', async () => {
+    if (await startRotation(allAccounts.find(a => a.id === detailId))) {
+      showToast('Change the password in the new tab — it\'s marked refreshed once saved');
+    }
+  });
+
+  document.getElementById('detail-open').addEventListener('click', () => {
+    const url = accountSiteUrl(allAccounts.find(a => a.id === detailId));
+    if (url) window.open(url, '_blank');
+  });
+
+  document.getElementById('detail-delete').addEventListener('click', () => {
+    if (detailId === null) return;
+    const id = detailId;
+    const account = allAccounts.find(a => a.id === id);
+    openConfirm(
+      'Delete Account?',
+      `Move "${account?.service_name || 'this account'}" to the trash?`,
+      async () => {
+        await deleteAccount(id);
+        selectedIds.delete(id);
+        detailId = null;
+        loadAccounts();
+        showToast('Moved 1 account to trash', false, undoDelete([id]));
+      }
+    );
+  });
+
+  // Failed unlocks
+  document.getElementById('attempts-close').addEventListener('click', () => {
+    attemptsOverlay.classList.add('hidden');
+  });
+  attemptsOverlay.addEventListener('click', (e) => {
+    if (e.target === attemptsOverlay) attemptsOverlay.classList.add('hidden');
+  });
+
+  // Detected password changes that fit several accounts
+  document.getElementById('change-skip').addEventListener('click', () => {
+    pendingChanges.shift();
+    showNextChange();
+  });
+  document.getElementById('change-confirm').addEventListener('click', pickChangedAccount);
+
+  // Confirm modal
+  confirmCancel.addEventListener('click', closeConfirm);
+  confirmOverlay.addEventListener('click', (e) => {
+    if (e.target === confirmOverlay) closeConfirm();
+  });
+  confirmOk.addEventListener('click', async () => {
+    const action = confirmAction;
+    closeConfirm();
+    if (action) await action();
+  });
+}
+
+// --- Data ---
+
+function loadAccounts() {
+  allAccounts = getAllAccounts();
+  countBadge.textContent = `${allAccounts.length} account${allAccounts.length !== 1 ? 's' : ''}`;
+
+  // Drop selections for accounts that no longer exist
+  const ids = new Set(allAccounts.map(a => a.id));
+  for (const id of selectedIds) {
+    if (!ids.has(id)) selectedIds.delete(id);
+  }
+  if (detailId !== null && !ids.has(detailId)) detailId = null;
+
+  populateCategoryFilter();
+  renderTable();
+  renderDetail();
+}
+
+function populateCategoryFilter() {
+  const options = categoryOptionsHtml(refreshCategoryIndex());
+
+  const detail = document.getElementById('detail-category');
+  detail.innerHTML = options;
+
+  const filter = document.getElementById('filter-category');
+  if (!categoryIndex.has(filter.value)) columnFilters.category = '';
+  filter.innerHTML = '<option value="">All</option>' + options;
+  filter.value = columnFilters.category;
+
+  const bulk = document.getElementById('bulk-category');
+  bulk.innerHTML = '<option value="">Set category...</option>' + options;
+
+  const tags = getTags();
+  const tagFilter = document.getElementById('filter-tag');
+  if (!tags.some(t => t.name === columnFilters.tag)) columnFilters.tag = '';
+  tagFilter.innerHTML = '<option value="">All</option>' + tagOptionsHtml(tags);
+  tagFilter.value = columnFilters.tag;
+}
+
+function getVisibleAccounts() {
+  const now = new Date();
+  let accounts = applySearch(allAccounts, currentSearch);
+
+  accounts = accounts.filter(a => {
+    if (columnFilters.status && calcStatus(a, now) !== columnFilters.status) return false;
+    if (columnFilters.category && a.category !== columnFilters.category) return false;
+    if (columnFilters.tag && !a.tags.includes(columnFilters.tag)) return false;
+    for (const key of ['service_name', 'url', 'username']) {
+      const q = columnFilters[key].toLowerCase();
+      if (q && !(a[key] || '').toLowerCase().includes(q)) return false;
+    }
+    if (columnFilters.due_within && urgencyOf(a) > parseInt(columnFilters.due_within, 10)) {
+      return false;
+    }
+    return true;
+  });
+
+  return sortByColumn(accounts, sortKey, sortDir);
+}
+
+function sortByColumn(accounts, key, dir) {
+  const sorted = [...accounts];
+  const valueOf = (a) => {
+    switch (key) {
+      case 'status':
+      case 'due':
+        return urgencyOf(a);
+      case 'refresh_interval_days':
+        return a.refresh_interval_days || 90;
+      case 'category':
+        return categoryLabel(a.category).toLowerCase();
+      default:
+        return (a[key] || '').toString().toLowerCase();
+    }
+  };
+  sorted.sort((a, b) => {
+    const va = valueOf(a);
+    const vb = valueOf(b);
+    const cmp = typeof va === 'number' ? va - vb : va.localeCompare(vb);
+    return dir === 'asc' ? cmp : -cmp;
+  });
+  return sorted;
+}
+
+// --- Rendering ---
+
+function renderTable() {
+  const visible = getVisibleAccounts();
+  const total = allAccounts.length;
+  const filtered = currentSearch || Object.values(columnFilters).some(Boolean);
+
+  filterInfo.textContent = filtered
+    ? `Showing ${visible.length} of ${total} accounts`
+    : `${total} account${total !== 1 ? 's' : ''}`;
+  clearFiltersBtn.classList.toggle('hidden', !filtered);
+
+  sortHeaders.forEach(th => {
+    th.classList.toggle('sorted-asc', th.dataset.sort === sortKey && sortDir === 'asc');
+    th.classList.toggle('sorted-desc', th.dataset.sort === sortKey && sortDir === 'desc');
+  });
+
+  if (visible.length === 0) {
+    rowsEl.innerHTML = '';
+    emptyState.classList.remove('hidden');
+    emptyMessage.textContent = total === 0
+      ? 'No accounts yet. Add some from the toolbar popup.'
+      : 'No accounts match these filters.';
+  } else {
+    emptyState.classList.add('hidden');
+    rowsEl.innerHTML = visible.map(renderRow).join('');
+  }
+
+  renderBulkBar();
+  syncSelectAll();
+}
+
+function renderRow(account) {
+  const status = calcStatus(account, new Date());
+  const selected = selectedIds.has(account.id);
+  const classes = [selected ? 'selected' : '', account.id === detailId ? 'active' : ''].join(' ');
+
+  return `
+    <tr data-id="${account.id}" class="${classes}">
+      <td class="col-select"><input type="checkbox" ${selected ? 'checked' : ''}></td>
+      <td><span class="status-dot ${status}" title="${statusLabel(status)}"></span></td>
+      <td class="cell-service">${highlightMatch(escapeHtml(account.service_name), currentSearch)}</td>
+      <td class="cell-muted">${highlightMatch(escapeHtml(account.url || ''), currentSearch)}</td>
+      <td class="cell-muted">${highlightMatch(escapeHtml(account.username || ''), currentSearch)}</td>
+      <td><span class="cat-pill" style="--cat-color: ${escapeHtml(categoryColor(account.category))}">${escapeHtml(categoryLabel(account.category))}</span></td>
+      <td class="cell-tags">${tagChipsHtml(account.tags, currentSearch)}</td>
+      <td>${account.refresh_interval_days || 90}d</td>
+      <td>${escapeHtml(account.last_password_change ? formatDate(account.last_password_change) : 'Never')}</td>
+      <td class="cell-due ${status}">${escapeHtml(dueText(account, status))}</td>
+    </tr>
+  `;
+}
+
+function dueText(account, status) {
+  if (status === 'exempt') return 'Exempt';
+  if (status === 'snoozed') return `until ${formatDate(account.snoozed_until)}`;
+  const daysLeft = daysUntilDue(account);
+  return daysLeft < 0 ? `${Math.abs(daysLeft)}d overdue` : `in ${daysLeft}d`;
+}
+
+function renderBulkBar() {
+  const count = selectedIds.size;
+  bulkBar.classList.toggle('hidden', count === 0);
+  bulkCount.textContent = `${count} selected`;
+}
+
+function syncSelectAll() {
+  const visible = getVisibleAccounts();
+  const selectedVisible = visible.filter(a => selectedIds.has(a.id)).length;
+  selectAll.checked = visible.length > 0 && selectedVisible === visible.length;
+  selectAll.indeterminate = selectedVisible > 0 && selectedVisible < visible.length;
+}
+
+// --- Detail Pane ---
+
+function showDetail(id) {
+  detailId = id;
+  renderTable();
+  renderDetail();
+}
+
+function renderDetail() {
+  const account = allAccounts.find(a => a.id === detailId);
+  if (!account) {
+    detailEmpty.classList.remove('hidden');
+    detailContent.classList.add('hidden');
+    return;
+  }
+
+  const status = calcStatus(account, new Date());
+  document.getElementById('detail-dot').className = `status-dot ${status}`;
+  document.getElementById('detail-title').textContent = account.service_name;
+  document.getElementById('detail-status').textContent = describeAge(account, status);
+  document.getElementById('detail-open').disabled = !accountSiteUrl(account);
+  document.getElementById('detail-rotate').disabled = !accountSiteUrl(account);
+
+  document.getElementById('detail-service').value = account.service_name || '';
+  document.getElementById('detail-url').value = account.url || '';
+  document.getElementById('detail-username').value = account.username || '';
+  document.getElementById('detail-category').value = account.category || 'general';
+  document.getElementById('detail-tags').value = account.tags.join(', ');
+  document.getElementById('detail-lead').value = account.reminder_lead_days ?? '';
+  document.getElementById('detail-lead').placeholder = `Default (${getDueSoonDays()})`;
+  document.getElementById('detail-interval').value = account.refresh_interval_days || 90;
+  document.getElementById('detail-snooze').value = (account.snoozed_until || '').split('T')[0];
+  document.getElementById('detail-snooze-reason').value = account.snooze_reason || '';
+  document.getElementById('detail-exempt').checked = !!account.exempt;
+  document.getElementById('detail-exempt-reason').value = account.exempt_reason || '';
+  document.getElementById('detail-lastchange').value = (account.last_password_change || '').split('T')[0];
+  document.getElementById('detail-change-note').value = '';
+  document.getElementById('detail-notes').value = account.notes || '';
+  document.getElementById('history-list').innerHTML = historyItemsHtml(getPasswordEvents(account.id));
+
+  detailEmpty.classList.add('hidden');
+  detailContent.classList.remove('hidden');
+}
+
+async function saveDetail() {
+  const account = allAccounts.find(a => a.id === detailId);
+  if (!account) return;
+
+  const data = {
+    service_name: document.getElementById('detail-service').value.trim(),
+    url: document.getElementById('detail-url').value.trim(),
+    username: document.getElementById('detail-username').value.trim(),
+    category: document.getElementById('detail-category').value,
+    tags: normalizeTags(document.getElementById('detail-tags').value),
+    reminder_lead_days: normalizeLeadDays(document.getElementById('detail-lead').value),
+    refresh_interval_days: parseInt(document.getElementById('detail-interval').value, 10) || null,
+    notes: document.getElementById('detail-notes').value.trim()
+  };
+  if (!data.service_name) return;
+
+  const snoozeVal = document.getElementById('detail-snooze').value;
+  const snoozeDate = snoozeVal ? new Date(snoozeVal) : null;
+  if (snoozeDate && !isNaN(snoozeDate.getTime())) {
+    data.snoozed_until = snoozeDate.toISOString();
+    data.snooze_reason = document.getElementById('detail-snooze-reason').value.trim();
+  } else {
+    data.snoozed_until = null;
+    data.snooze_reason = null;
+  }
+  data.exempt = document.getElementById('detail-exempt').checked ? 1 : 0;
+  data.exempt_reason = data.exempt ? document.getElementById('detail-exempt-reason').value.trim() : null;
+
+  // An untouched interval keeps following the category policy
+  if (data.refresh_interval_days === account.refresh_interval_days) delete data.refresh_interval_days;
+
+  // The date picker drops the time of day — only treat a new day as a rotation
+  const dateVal = document.getElementById('detail-lastchange').value;
+  if (dateVal && dateVal !== (account.last_password_change || '').split('T')[0]) {
+    const d = new Date(dateVal);
+    if (!isNaN(d.getTime())) data.last_password_change = d.toISOString();
+  }
+
+  const note = document.getElementById('detail-change-note').value.trim();
+  await updateAccount(account.id, data, { source: 'edit', note });
+  loadAccounts();
+  showToast('Changes saved');
+}
+
+// --- Bulk Actions ---
+
+async function handleBulkAction(action) {
+  const ids = [...selectedIds];
+  if (ids.length === 0) return;
+
+  const label = `${ids.length} account${ids.length !== 1 ? 's' : ''}`;
+
+  switch (action) {
+    case 'refresh':
+      await markRefreshedMany(ids);
+      loadAccounts();
+      showToast(`Marked ${label} as refreshed`);
+      break;
+    case 'edit': {
+      const fields = {};
+      const category = document.getElementById('bulk-category').value;
+      const interval = parseInt(document.getElementById('bulk-interval').value, 10);
+      if (category) fields.category = category;
+      if (interval >= 1 && interval <= 365) fields.refresh_interval_days = interval;
+      if (Object.keys(fields).length === 0) {
+        showToast('Choose a category or interval first', true);
+        return;
+      }
+      await updateAccounts(ids, fields);
+      document.getElementById('bulk-category').value = '';
+      document.getElementById('bulk-interval').value = '';
+      loadAccounts();
+      showToast(`Updated ${label}`);
+      break;
+    }
+    case 'snooze': {
+      const until = document.getElementById('bulk-snooze').value;
+      if (!until || new Date(until) <= new Date()) {
+        showToast('Choose a future date to snooze until', true);
+        return;
+      }
+      await snoozeAccounts(ids, until);
+      document.getElementById('bulk-snooze').value = '';
+      loadAccounts();
+      showToast(`Snoozed ${label} until ${formatDate(new Date(until).toISOString())}`);
+      break;
+    }
+    case 'delete':
+      openConfirm(
+        'Delete Accounts?',
+        `Move ${label} to the trash?`,
+        async () => {
+          await deleteAccounts(ids);
+          selectedIds.clear();
+          loadAccounts();
+          showToast(`Moved ${label} to trash`, false, undoDelete(ids));
+        }
+      );
+      break;
+  }
+}
+
+function undoDelete(ids) {
+  return {
+    label: 'Undo',
+    run: async () => {
+      await restoreAccounts(ids);
+      loadAccounts();
+    }
+  };
+}
+
+// --- Confirm Modal ---
+
+function openConfirm(title, message, action, { okLabel = 'Delete', danger = true } = {}) {
+  confirmTitle.textContent = title;
+  confirmMessage.textContent = message;
+  confirmOk.textContent = okLabel;
+  confirmOk.className = danger ? 'btn-danger' : 'btn-primary';
+  confirmAction = action;
+  confirmOverlay.classList.remove('hidden');
+  confirmOk.focus();
+}
+
+function closeConfirm() {
+  confirmOverlay.classList.add('hidden');
+  confirmAction = null;
+}
+
+// --- Export ---
+
+function confirmReportExport(format) {
+  const accounts = getVisibleAccounts();
+  if (accounts.length === 0) {
+    showToast('No accounts match the current view', true);
+    return;
+  }
+  openConfirm(
+    format === 'csv' ? 'Export CSV' : 'Printable Report',
+    `Export the ${accounts.length} account${accounts.length !== 1 ? 's' : ''} shown in the table? ` +
+      'The file will be unencrypted. Anyone with access to it can read your account data.',
+    () => exportReport(format, accounts),
+    { okLabel: 'Export', danger: false }
+  );
+}
+
+function exportReport(format, accounts) {
+  const date = new Date().toISOString().split('T')[0];
+  if (format === 'csv') {
+    downloadFile(accountsToCSV(accounts), `able-account-inventory-${date}.csv`, 'text/csv');
+  } else {
+    downloadFile(accountsToHTMLReport(accounts, describeScope()), `able-account-report-${date}.html`, 'text/html');
+  }
+  showToast(`Exported ${accounts.length} account${accounts.length !== 1 ? 's' : ''}`);
+}
+
+const FILTER_LABELS = {
+  status: 'status',
+  service_name: 'service',
+  url: 'URL',
+  username: 'username',
+  category: 'category',
+  tag: 'tag',
+  due_within: 'due'
+};
+
+// Human-readable summary of the active search and column filters
+function describeScope() {
+  const parts = [];
+  if (currentSearch) parts.push(`search "${currentSearch}"`);
+  filterInputs.forEach(input => {
+    const value = columnFilters[input.dataset.filter];
+    if (!value) return;
+    const shown = input.tagName === 'SELECT'
+      ? input.options[input.selectedIndex].textContent
+      : `"${value}"`;
+    parts.push(`${FILTER_LABELS[input.dataset.filter]} ${shown}`);
+  });
+  return parts.length ? `Filtered by ${parts.join(', ')}` : '';
+}
+
+// --- Detected Password Changes ---
+// A change spotted on a site with several matching accounts (see
+// takeUnresolvedChanges) is only applied once the user says which it was.
+
+function openChangePicker(changes) {
+  pendingChanges = changes;
+  showNextChange();
+}
+
+function closeChangePicker() {
+  pendingChanges = [];
+  changeOverlay.classList.add('hidden');
+}
+
+function showNextChange() {
+  while (pendingChanges.length) {
+    const change = pendingChanges[0];
+    const accounts = change.candidates.map(id => getAccount(id)).filter(a => a && !a.deleted_at);
+    if (accounts.length) {
+      document.getElementById('change-summary').textContent =
+        `A password was changed on ${change.domain}, where you have ${accounts.length} accounts. Which one was it?`;
+      document.getElementById('change-list').innerHTML = accounts.map((a, i) => `
+        <li>
+          <label>
+            <input type="radio" name="change-account" value="${a.id}"${i === 0 ? ' checked' : ''}>
+            ${escapeHtml(a.service_name)}${a.username ? ` — ${escapeHtml(a.username)}` : ''}
+          </label>
+        </li>`).join('');
+      changeOverlay.classList.remove('hidden');
+      return;
+    }
+    pendingChanges.shift();
+  }
+  changeOverlay.classList.add('hidden');
+}
+
+async function pickChangedAccount() {
+  const picked = changeOverlay.querySelector('input[name="change-account"]:checked');
+  const change = pendingChanges.shift();
+  if (change && picked) {
+    try {
+      if (await resolveDetectedChange(change, parseInt(picked.value, 10))) {
+        loadAccounts();
+        showToast('Account marked refreshed');
+      }
+    } catch (err) {
+      showToast('Could not update the account', true);
+    }
+  }
+  showNextChange();
+}
+
+// --- Failed Unlocks ---
+
+function openAttemptsModal(failures) {
+  const times = failures.length === 1 ? 'once' : `${failures.length} times`;
+  document.getElementById('attempts-summary').textContent =
+    `Unlocking failed ${times} since you last unlocked.`;
+  const list = document.getElementById('attempts-list');
+  list.innerHTML = '';
+  for (const attempt of failures.slice().reverse()) {
+    const li = document.createElement('li');
+    li.textContent = describeFailedUnlock(attempt);
+    list.appendChild(li);
+  }
+  attemptsOverlay.classList.remove('hidden');
+}
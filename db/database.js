@@ -2,204 +2,1576 @@
 const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 
 let db = null;
-let _cryptoKey = null;
-let _cryptoSalt = null;
+let _cryptoKey = null;      // data key the vault is encrypted with
+let _dataKeyBytes = null;   // the same key raw, for re-wrapping and sessions
+let _keyring = null;        // wrapped copies of the data key, saved with the vault
+let _SQL = null;
+let _lastSavedIv = null;
 
-// --- Encryption (PBKDF2 + AES-256-GCM) ---
+// --- Encryption (AES-256-GCM) ---
+// The vault is encrypted with a random data key. The keyring stores that key
+// wrapped under the passphrase and, optionally, under a recovery key, so
+// either one unlocks the vault and changing the passphrase re-wraps 32 bytes.
 
-async function deriveKey(passphrase, salt) {
+const PBKDF2_ITERATIONS = 600000;
+// Version 1 vaults and keyring entries without `kdf` metadata used this
+const LEGACY_PBKDF2_ITERATIONS = 310000;
+const VAULT_FORMAT_VERSION = 3;
+
+async function deriveKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+  return importAesKey(await deriveKeyBytes(passphrase, salt, iterations));
+}
+
+// Raw key bits; version 1 vaults used these directly as the data key
+async function deriveKeyBytes(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
   const enc = new TextEncoder();
   const keyMaterial = await crypto.subtle.importKey(
-    'raw', enc.encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    'raw', enc.encode(passphrase), 'PBKDF2', false, ['deriveBits']
   );
-  return crypto.subtle.deriveKey(
-    { name: 'PBKDF2', salt, iterations: 310000, hash: 'SHA-256' },
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
     keyMaterial,
+    256
+  );
+  return new Uint8Array(bits);
+}
+
+function importAesKey(bytes) {
+  return crypto.subtle.importKey('raw', bytes, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+}
+
+async function encryptData(data, key) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const encrypted = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv }, key, data
+  );
+  return { iv, data: new Uint8Array(encrypted) };
+}
+
+async function decryptData(encryptedData, iv, key) {
+  const decrypted = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv }, key, encryptedData
+  );
+  return new Uint8Array(decrypted);
+}
+
+async function wrapDataKey(kek, salt) {
+  const { iv, data } = await encryptData(_dataKeyBytes, kek);
+  return { salt: Array.from(salt), iv: Array.from(iv), wrapped: Array.from(data) };
+}
+
+// Throws if `kek` isn't the key this keyring entry was wrapped with
+function unwrapDataKey(entry, kek) {
+  return decryptData(new Uint8Array(entry.wrapped), new Uint8Array(entry.iv), kek);
+}
+
+async function passphraseKeyEntry(passphrase, kdfName = preferredKdf()) {
+  const kdf = { ...KDF_DEFAULTS[kdfName] };
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const kek = await importAesKey(await kdfKeyBytes(passphrase, salt, kdf));
+  return { kdf, ...(await wrapDataKey(kek, salt)) };
+}
+
+// Raw data key for a stored vault. Version 1 vaults had no keyring — the
+// passphrase-derived key encrypted the data directly.
+async function passphraseDataKey(enc, passphrase) {
+  if (!enc.keys) return deriveKeyBytes(passphrase, new Uint8Array(enc.salt), LEGACY_PBKDF2_ITERATIONS);
+  const entry = enc.keys.passphrase;
+  const kek = await importAesKey(await kdfKeyBytes(passphrase, new Uint8Array(entry.salt), entryKdf(entry)));
+  try {
+    return await unwrapDataKey(entry, kek);
+  } catch (err) {
+    throw new Error('WRONG_PASSPHRASE');
+  }
+}
+
+async function useDataKey(bytes) {
+  _dataKeyBytes = bytes;
+  _cryptoKey = await importAesKey(bytes);
+}
+
+async function newVaultKeys(passphrase) {
+  await useDataKey(crypto.getRandomValues(new Uint8Array(32)));
+  // Settings may not exist yet; upgradePassphraseKey applies the preference after init
+  _keyring = { passphrase: await passphraseKeyEntry(passphrase, DEFAULT_KDF) };
+}
+
+// --- Key Derivation ---
+// Each passphrase keyring entry records the KDF and work factor it was wrapped
+// with, so the defaults below can be raised without stranding old vaults: a
+// successful unlock re-wraps any entry that falls short of them.
+// Argon2id comes from the argon2-browser WASM build in lib/ (MIT, see
+// lib/argon2-browser.LICENSE), loaded on first use.
+
+const KDF_DEFAULTS = {
+  pbkdf2: { name: 'pbkdf2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS },
+  argon2id: { name: 'argon2id', memory: 65536, iterations: 3, parallelism: 1 } // memory in KiB
+};
+const DEFAULT_KDF = 'pbkdf2';
+const ARGON2_SCRIPT = 'lib/argon2-bundled.min.js';
+
+let _argon2 = null;
+
+function entryKdf(entry) {
+  return entry.kdf || { name: 'pbkdf2', hash: 'SHA-256', iterations: LEGACY_PBKDF2_ITERATIONS };
+}
+
+async function kdfKeyBytes(passphrase, salt, kdf) {
+  if (kdf.name === 'pbkdf2' && kdf.hash === 'SHA-256') {
+    return deriveKeyBytes(passphrase, salt, kdf.iterations);
+  }
+  if (kdf.name === 'argon2id') {
+    const argon2 = await loadArgon2();
+    const result = await argon2.hash({
+      pass: passphrase,
+      salt,
+      time: kdf.iterations,
+      mem: kdf.memory,
+      parallelism: kdf.parallelism,
+      hashLen: 32,
+      type: argon2.ArgonType.Argon2id
+    });
+    return new Uint8Array(result.hash);
+  }
+  throw new Error('UNSUPPORTED_KDF');
+}
+
+// True when `kdf` is weaker than the current defaults for its algorithm
+function kdfOutdated(kdf, name) {
+  const target = KDF_DEFAULTS[name];
+  if (kdf.name !== name) return true;
+  return ['iterations', 'memory', 'parallelism'].some(k => (kdf[k] || 0) < (target[k] || 0));
+}
+
+// Resolves with the argon2 global, or rejects with KDF_UNAVAILABLE when the
+// WASM bundle fails to load
+function loadArgon2() {
+  if (!_argon2) {
+    _argon2 = new Promise((resolve, reject) => {
+      if (typeof argon2 !== 'undefined') return resolve(argon2);
+      const script = document.createElement('script');
+      script.src = browserAPI.runtime.getURL(ARGON2_SCRIPT);
+      script.onload = () => (typeof argon2 !== 'undefined' ? resolve(argon2) : script.onerror());
+      script.onerror = () => {
+        _argon2 = null;
+        script.remove();
+        reject(new Error('KDF_UNAVAILABLE'));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return _argon2;
+}
+
+async function isKdfAvailable(name) {
+  if (name !== 'argon2id') return name in KDF_DEFAULTS;
+  try {
+    await loadArgon2();
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// The KDF new passphrase entries use; a vault setting, so only known once
+// unlocked. A change takes effect the next time the passphrase is entered.
+function preferredKdf() {
+  const name = db ? getSetting('passphrase_kdf', DEFAULT_KDF) : DEFAULT_KDF;
+  return name in KDF_DEFAULTS ? name : DEFAULT_KDF;
+}
+
+// Re-wraps the passphrase entry when its KDF is outdated or not the preferred one
+async function upgradePassphraseKey(passphrase) {
+  const name = preferredKdf();
+  if (!kdfOutdated(entryKdf(_keyring.passphrase), name)) return false;
+  if (!(await isKdfAvailable(name))) return false;
+  _keyring = { ..._keyring, passphrase: await passphraseKeyEntry(passphrase, name) };
+  await saveDB();
+  return true;
+}
+
+// --- DB State Detection ---
+
+async function getDBState() {
+  const stored = await browserAPI.storage.local.get(['accountDB', 'accountDB_encrypted']);
+  if (stored.accountDB_encrypted) return 'encrypted';
+  if (stored.accountDB) return 'unencrypted';
+  return 'new';
+}
+
+// --- Schema Migrations ---
+
+// Ordered list of schema changes, keyed on SQLite's PRAGMA user_version.
+// Databases created before versioning report user_version 0, so every
+// migration must be idempotent (IF NOT EXISTS, guarded ALTERs, etc).
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create accounts table',
+    up(database) {
+      database.run(`
+        CREATE TABLE IF NOT EXISTS accounts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          service_name TEXT NOT NULL,
+          url TEXT,
+          username TEXT,
+          category TEXT DEFAULT 'general',
+          refresh_interval_days INTEGER DEFAULT 90,
+          last_password_change TEXT,
+          date_added TEXT,
+          notes TEXT
+        )
+      `);
+    }
+  },
+  {
+    version: 2,
+    description: 'Add password change history',
+    up(database) {
+      database.run(`
+        CREATE TABLE IF NOT EXISTS password_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          account_id INTEGER NOT NULL,
+          changed_at TEXT NOT NULL,
+          source TEXT NOT NULL DEFAULT 'manual',
+          note TEXT
+        )
+      `);
+      database.run(`
+        CREATE INDEX IF NOT EXISTS idx_password_events_account
+        ON password_events (account_id, changed_at)
+      `);
+      // Seed each existing account with its current rotation date
+      database.run(`
+        INSERT INTO password_events (account_id, changed_at, source, note)
+        SELECT id, last_password_change, 'legacy', 'Recorded before change history was kept'
+        FROM accounts
+        WHERE last_password_change IS NOT NULL AND last_password_change != ''
+          AND NOT EXISTS (SELECT 1 FROM password_events e WHERE e.account_id = accounts.id)
+      `);
+    }
+  },
+  {
+    version: 3,
+    description: 'Soft-delete accounts into a trash bin',
+    up(database) {
+      addColumnIfMissing(database, 'accounts', 'deleted_at', 'TEXT');
+    }
+  },
+  {
+    version: 4,
+    description: 'Add vault settings and per-category interval policy',
+    up(database) {
+      database.run(`
+        CREATE TABLE IF NOT EXISTS settings (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL
+        )
+      `);
+      addColumnIfMissing(database, 'accounts', 'interval_customized', 'INTEGER DEFAULT 0');
+      // Anything off the old fixed default was set by hand
+      database.run('UPDATE accounts SET interval_customized = 1 WHERE refresh_interval_days != 90');
+    }
+  },
+  {
+    version: 5,
+    description: 'Add user-defined categories and tags',
+    up(database) {
+      database.run(`
+        CREATE TABLE IF NOT EXISTS categories (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          color TEXT NOT NULL DEFAULT '#64748b',
+          sort_order INTEGER DEFAULT 0
+        )
+      `);
+      database.run(`
+        CREATE TABLE IF NOT EXISTS tags (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE COLLATE NOCASE
+        )
+      `);
+      database.run(`
+        CREATE TABLE IF NOT EXISTS account_tags (
+          account_id INTEGER NOT NULL,
+          tag_id INTEGER NOT NULL,
+          PRIMARY KEY (account_id, tag_id)
+        )
+      `);
+      database.run('CREATE INDEX IF NOT EXISTS idx_account_tags_tag ON account_tags(tag_id)');
+
+      // The eight categories that used to be hard-coded in the popup
+      const builtins = [
+        ['general', 'General', '#64748b'],
+        ['financial', 'Financial / Banking', '#16a34a'],
+        ['email', 'Email', '#3b82f6'],
+        ['social', 'Social Media', '#8b5cf6'],
+        ['shopping', 'Shopping', '#f59e0b'],
+        ['streaming', 'Streaming', '#ef4444'],
+        ['work', 'Work', '#0ea5e9'],
+        ['gaming', 'Gaming', '#ec4899']
+      ];
+      builtins.forEach(([id, name, color], i) => {
+        database.run(
+          'INSERT OR IGNORE INTO categories (id, name, color, sort_order) VALUES (?, ?, ?, ?)',
+          [id, name, color, i]
+        );
+      });
+      database.run(`
+        INSERT OR IGNORE INTO categories (id, name, sort_order)
+        SELECT DISTINCT category, category, 100 FROM accounts
+        WHERE category IS NOT NULL AND category != ''
+      `);
+    }
+  },
+  {
+    version: 6,
+    description: 'Add per-account reminder lead time',
+    up(database) {
+      // NULL means "use the vault-wide due_soon_days setting"
+      addColumnIfMissing(database, 'accounts', 'reminder_lead_days', 'INTEGER');
+    }
+  },
+  {
+    version: 7,
+    description: 'Add snoozed and exempt account states',
+    up(database) {
+      addColumnIfMissing(database, 'accounts', 'snoozed_until', 'TEXT');
+      addColumnIfMissing(database, 'accounts', 'snooze_reason', 'TEXT');
+      addColumnIfMissing(database, 'accounts', 'exempt', 'INTEGER DEFAULT 0');
+      addColumnIfMissing(database, 'accounts', 'exempt_reason', 'TEXT');
+    }
+  }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function addColumnIfMissing(database, table, column, definition) {
+  const info = parseResults(database.exec(`PRAGMA table_info(${table})`));
+  if (!info.some(col => col.name === column)) {
+    database.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+function getSchemaVersion() {
+  const results = db.exec('PRAGMA user_version');
+  return results.length ? results[0].values[0][0] : 0;
+}
+
+// Applies all pending migrations in a single transaction.
+// Returns true if the schema changed and the database needs saving.
+function runMigrations() {
+  const current = getSchemaVersion();
+  if (current > SCHEMA_VERSION) {
+    // Written by a newer version of the extension — saving would lose data
+    throw new Error('UNSUPPORTED_SCHEMA');
+  }
+
+  const pending = MIGRATIONS.filter(m => m.version > current);
+  if (pending.length === 0) return false;
+
+  try {
+    runInTransaction(() => {
+      for (const migration of pending) {
+        migration.up(db);
+        db.run(`PRAGMA user_version = ${migration.version}`);
+      }
+    });
+  } catch (err) {
+    console.error('Database migration failed:', err);
+    throw new Error('MIGRATION_FAILED');
+  }
+  return true;
+}
+
+// Runs fn inside one SQLite transaction, rolling back if it throws
+function runInTransaction(fn) {
+  db.run('BEGIN');
+  try {
+    const result = fn();
+    db.run('COMMIT');
+    return result;
+  } catch (err) {
+    db.run('ROLLBACK');
+    throw err;
+  }
+}
+
+// --- Init ---
+
+async function loadSqlJs() {
+  if (!_SQL) {
+    _SQL = await initSqlJs({
+      locateFile: file => browserAPI.runtime.getURL(`lib/${file}`)
+    });
+  }
+  return _SQL;
+}
+
+async function initDB(passphrase) {
+  const SQL = await loadSqlJs();
+
+  const stored = await browserAPI.storage.local.get(['accountDB', 'accountDB_encrypted']);
+  let migratedPlaintext = false;
+  let rekeyed = false;
+
+  if (stored.accountDB_encrypted) {
+    // Decrypt existing encrypted DB
+    const enc = stored.accountDB_encrypted;
+    await throttledUnlock('passphrase', async () => {
+      await openEncryptedDB(SQL, enc, await passphraseDataKey(enc, passphrase));
+    });
+    if (!enc.keys) {
+      // Move a version 1 vault onto a wrapped data key
+      await newVaultKeys(passphrase);
+      rekeyed = true;
+    }
+  } else if (stored.accountDB) {
+    // Migrate unencrypted DB to encrypted
+    await newVaultKeys(passphrase);
+    try {
+      db = new SQL.Database(new Uint8Array(stored.accountDB));
+      db.exec('SELECT count(*) FROM accounts');
+      migratedPlaintext = true;
+    } catch (err) {
+      console.warn('Stored database corrupted, creating fresh database:', err);
+      db = null;
+    }
+  }
+
+  if (!db) {
+    // Brand new DB — the migrations create the schema
+    if (!_cryptoKey) await newVaultKeys(passphrase);
+    db = new SQL.Database();
+  }
+
+  await finishInit(migratedPlaintext || rekeyed);
+  await upgradePassphraseKey(passphrase);
+  offerSessionKey(_dataKeyBytes);
+  return db;
+}
+
+// Decrypts the stored vault with a raw data key; WRONG_PASSPHRASE if it doesn't fit
+async function openEncryptedDB(SQL, enc, keyBytes) {
+  try {
+    const decrypted = await decryptData(
+      new Uint8Array(enc.data), new Uint8Array(enc.iv), await importAesKey(keyBytes)
+    );
+    db = new SQL.Database(decrypted);
+    db.exec('SELECT count(*) FROM accounts');
+  } catch (err) {
+    db = null;
+    throw new Error('WRONG_PASSPHRASE');
+  }
+  await useDataKey(keyBytes);
+  _keyring = enc.keys || null;
+  _lastSavedIv = enc.iv.join(',');
+}
+
+async function finishInit(migratedPlaintext) {
+  let schemaChanged;
+  try {
+    schemaChanged = runMigrations();
+  } catch (err) {
+    // Leave the stored copy untouched so the user can retry after an update
+    lockDB();
+    throw err;
+  }
+
+  loadStatusSettings();
+
+  if (schemaChanged || migratedPlaintext) {
+    await saveDB();
+  } else {
+    publishDueSchedule();
+  }
+  if (migratedPlaintext) {
+    // Remove old unencrypted data
+    await browserAPI.storage.local.remove('accountDB');
+  }
+}
+
+async function saveDB() {
+  try {
+    const rawData = db.export();
+    if (_cryptoKey && _keyring) {
+      const { iv, data } = await encryptData(rawData, _cryptoKey);
+      _lastSavedIv = Array.from(iv).join(',');
+      await browserAPI.storage.local.set({
+        accountDB_encrypted: {
+          version: VAULT_FORMAT_VERSION,
+          keys: _keyring,
+          iv: Array.from(iv),
+          data: Array.from(data)
+        }
+      });
+      publishDueSchedule();
+    }
+  } catch (err) {
+    console.error('Failed to save database:', err);
+  }
+}
+
+// --- Due Schedule ---
+// The service worker can't decrypt the vault, so each save hands it just enough
+// to work out due dates on its own: ids and timestamps, a salted hash of each
+// account's site, plus names and URLs only if the user opted in under the
+// notification settings.
+
+async function buildDueSchedule(showNames = false, salt = '') {
+  const entries = [];
+  for (const a of getAllAccounts()) {
+    if (a.exempt) continue;
+    entries.push({
+      id: a.id,
+      changed_at: a.last_password_change ? new Date(a.last_password_change).getTime() : 0,
+      interval_days: a.refresh_interval_days || 90,
+      lead_days: a.reminder_lead_days ?? _dueSoonDays,
+      snoozed_until: a.snoozed_until ? new Date(a.snoozed_until).getTime() : null,
+      host_hash: salt ? await scheduleHash(accountHost(a), salt) : '',
+      ...(showNames ? { name: a.service_name, url: a.url || '' } : {})
+    });
+  }
+  return entries;
+}
+
+async function publishDueSchedule() {
+  const [settings, salt] = await Promise.all([
+    sendToWorker({ type: 'getNotificationSettings' }),
+    sendToWorker({ type: 'getScheduleSalt' })
+  ]);
+  if (!db) return; // locked meanwhile
+  const accounts = await buildDueSchedule(!!settings?.showNames, salt);
+  if (!db) return;
+  sendToWorker({ type: 'updateDueSchedule', accounts });
+}
+
+function lockDB() {
+  _cryptoKey = null;
+  _dataKeyBytes = null;
+  _keyring = null;
+  _lastSavedIv = null;
+  if (db) {
+    db.close();
+    db = null;
+  }
+}
+
+// Checks a passphrase against the stored vault without touching the open DB
+async function verifyPassphrase(passphrase) {
+  const stored = await browserAPI.storage.local.get('accountDB_encrypted');
+  const enc = stored.accountDB_encrypted;
+  if (!enc) return false;
+  try {
+    const key = await importAesKey(await passphraseDataKey(enc, passphrase));
+    await decryptData(new Uint8Array(enc.data), new Uint8Array(enc.iv), key);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Only the passphrase's keyring entry changes; the data key and any recovery key stay
+async function changePassphrase(newPassphrase) {
+  _keyring = { ..._keyring, passphrase: await passphraseKeyEntry(newPassphrase) };
+  await saveDB();
+}
+
+// --- Recovery Key ---
+// 160 random bits shown as Crockford base32 (XXXX-XXXX-...). It is far too
+// strong to guess, so a single HKDF step stands in for a slow KDF.
+
+const RECOVERY_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const RECOVERY_KEY_BYTES = 20;
+
+function formatRecoveryKey(bytes) {
+  let bits = '';
+  for (const b of bytes) bits += b.toString(2).padStart(8, '0');
+  let out = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    out += RECOVERY_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return out.match(/.{1,4}/g).join('-');
+}
+
+// Forgiving about case, spaces, dashes and the usual look-alikes
+function parseRecoveryKey(text) {
+  const chars = String(text || '').toUpperCase()
+    .replace(/[\s-]/g, '')
+    .replace(/O/g, '0')
+    .replace(/[IL]/g, '1');
+  if (chars.length !== RECOVERY_KEY_BYTES * 8 / 5) return null;
+  let bits = '';
+  for (const c of chars) {
+    const v = RECOVERY_ALPHABET.indexOf(c);
+    if (v === -1) return null;
+    bits += v.toString(2).padStart(5, '0');
+  }
+  const bytes = new Uint8Array(RECOVERY_KEY_BYTES);
+  for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(bits.slice(i * 8, i * 8 + 8), 2);
+  return bytes;
+}
+
+function recoveryKek(keyBytes, salt) {
+  return hkdfKek(keyBytes, salt, 'able-account recovery key');
+}
+
+// Wrapping key from high-entropy input (recovery key, authenticator PRF output)
+async function hkdfKek(keyBytes, salt, info) {
+  const material = await crypto.subtle.importKey('raw', keyBytes, 'HKDF', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt, info: new TextEncoder().encode(info) },
+    material,
     { name: 'AES-GCM', length: 256 },
     false,
     ['encrypt', 'decrypt']
   );
 }
 
-async function encryptData(data, key) {
-  const iv = crypto.getRandomValues(new Uint8Array(12));
-  const encrypted = await crypto.subtle.encrypt(
-    { name: 'AES-GCM', iv }, key, data
-  );
-  return { iv, data: new Uint8Array(encrypted) };
+function getRecoveryKeyInfo() {
+  return _keyring && _keyring.recovery ? { created_at: _keyring.recovery.created_at } : null;
+}
+
+// Lock screen check — works without unlocking
+async function storedVaultHasRecoveryKey() {
+  const stored = await browserAPI.storage.local.get('accountDB_encrypted');
+  return !!stored.accountDB_encrypted?.keys?.recovery;
+}
+
+// Replaces any previous recovery key; returns the new one for the kit
+async function createRecoveryKey() {
+  const keyBytes = crypto.getRandomValues(new Uint8Array(RECOVERY_KEY_BYTES));
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const entry = await wrapDataKey(await recoveryKek(keyBytes, salt), salt);
+  _keyring = { ..._keyring, recovery: { ...entry, created_at: new Date().toISOString() } };
+  await saveDB();
+  return formatRecoveryKey(keyBytes);
+}
+
+async function removeRecoveryKey() {
+  const { recovery, ...rest } = _keyring;
+  _keyring = rest;
+  await saveDB();
+}
+
+async function initDBWithRecoveryKey(recoveryKey) {
+  const SQL = await loadSqlJs();
+  const stored = await browserAPI.storage.local.get('accountDB_encrypted');
+  const enc = stored.accountDB_encrypted;
+  if (!enc?.keys?.recovery) throw new Error('NO_RECOVERY_KEY');
+
+  await throttledUnlock('recovery', async () => {
+    const keyBytes = parseRecoveryKey(recoveryKey);
+    if (!keyBytes) throw new Error('WRONG_RECOVERY_KEY');
+    let dataKey;
+    try {
+      const entry = enc.keys.recovery;
+      dataKey = await unwrapDataKey(entry, await recoveryKek(keyBytes, new Uint8Array(entry.salt)));
+    } catch (err) {
+      throw new Error('WRONG_RECOVERY_KEY');
+    }
+    await openEncryptedDB(SQL, enc, dataKey);
+  });
+  await finishInit(false);
+  return db;
+}
+
+// --- Passkey Unlock ---
+// A WebAuthn credential (fingerprint, face, security key) with the PRF
+// extension returns the same 32 secret bytes for the same input every time.
+// Those bytes wrap the data key as one more keyring entry, so the passphrase
+// keeps working as the fallback. Each credential has its own PRF input.
+
+const PASSKEY_INFO = 'able-account passkey';
+
+function passkeySupported() {
+  return typeof PublicKeyCredential !== 'undefined' && !!navigator.credentials;
+}
+
+function bytesToBase64Url(bytes) {
+  return bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+  return base64ToBytes(text.replace(/-/g, '+').replace(/_/g, '/'));
+}
+
+// Maps the WebAuthn DOMExceptions people actually hit onto our error codes
+function passkeyError(err) {
+  return new Error(err && err.name === 'NotAllowedError' ? 'PASSKEY_CANCELLED' : 'PASSKEY_UNAVAILABLE');
+}
+
+// PRF output for one of `entries`, plus which entry the authenticator used
+async function passkeyPrf(entries) {
+  const evalByCredential = {};
+  for (const entry of entries) evalByCredential[entry.id] = { first: new Uint8Array(entry.prf_salt) };
+  let assertion;
+  try {
+    assertion = await navigator.credentials.get({
+      publicKey: {
+        challenge: crypto.getRandomValues(new Uint8Array(32)),
+        allowCredentials: entries.map(e => ({ type: 'public-key', id: base64UrlToBytes(e.id) })),
+        userVerification: 'required',
+        extensions: { prf: { evalByCredential } }
+      }
+    });
+  } catch (err) {
+    throw passkeyError(err);
+  }
+  const first = assertion?.getClientExtensionResults().prf?.results?.first;
+  if (!first) throw new Error('PASSKEY_NO_PRF');
+  const id = bytesToBase64Url(new Uint8Array(assertion.rawId));
+  return { entry: entries.find(e => e.id === id), output: new Uint8Array(first) };
+}
+
+function getPasskeys() {
+  return (_keyring?.passkeys || []).map(({ id, created_at }) => ({ id, created_at }));
+}
+
+// Lock screen check — works without unlocking
+async function storedVaultHasPasskey() {
+  const stored = await browserAPI.storage.local.get('accountDB_encrypted');
+  return !!stored.accountDB_encrypted?.keys?.passkeys?.length;
+}
+
+// Creates a credential and wraps the open vault's data key with it.
+// PASSKEY_NO_PRF means the authenticator works but can't derive keys.
+async function addPasskey() {
+  if (!passkeySupported()) throw new Error('PASSKEY_UNAVAILABLE');
+  const prfSalt = crypto.getRandomValues(new Uint8Array(32));
+  let credential;
+  try {
+    credential = await navigator.credentials.create({
+      publicKey: {
+        rp: { name: 'Able Account' },
+        user: {
+          id: crypto.getRandomValues(new Uint8Array(16)),
+          name: 'Able Account',
+          displayName: 'Able Account vault'
+        },
+        challenge: crypto.getRandomValues(new Uint8Array(32)),
+        pubKeyCredParams: [{ type: 'public-key', alg: -7 }, { type: 'public-key', alg: -257 }],
+        authenticatorSelection: { userVerification: 'required', residentKey: 'discouraged' },
+        extensions: { prf: {} }
+      }
+    });
+  } catch (err) {
+    throw passkeyError(err);
+  }
+  if (!credential?.getClientExtensionResults().prf?.enabled) throw new Error('PASSKEY_NO_PRF');
+
+  // Most authenticators only evaluate PRF on get(), so ask once more
+  const id = bytesToBase64Url(new Uint8Array(credential.rawId));
+  const { output } = await passkeyPrf([{ id, prf_salt: Array.from(prfSalt) }]);
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const entry = await wrapDataKey(await hkdfKek(output, salt, PASSKEY_INFO), salt);
+  const passkey = { id, prf_salt: Array.from(prfSalt), ...entry, created_at: new Date().toISOString() };
+  _keyring = { ..._keyring, passkeys: [...(_keyring.passkeys || []), passkey] };
+  await saveDB();
+}
+
+// Only forgets our wrapped copy; the credential itself stays on the authenticator
+async function removePasskey(id) {
+  const { passkeys = [], ...rest } = _keyring;
+  const remaining = passkeys.filter(p => p.id !== id);
+  _keyring = remaining.length ? { ...rest, passkeys: remaining } : rest;
+  await saveDB();
+}
+
+async function initDBWithPasskey() {
+  const SQL = await loadSqlJs();
+  const stored = await browserAPI.storage.local.get('accountDB_encrypted');
+  const enc = stored.accountDB_encrypted;
+  if (!enc?.keys?.passkeys?.length) throw new Error('NO_PASSKEY');
+  if (!passkeySupported()) throw new Error('PASSKEY_UNAVAILABLE');
+
+  await throttledUnlock('passkey', async () => {
+    const { entry, output } = await passkeyPrf(enc.keys.passkeys);
+    if (!entry) throw new Error('WRONG_PASSKEY');
+    let dataKey;
+    try {
+      dataKey = await unwrapDataKey(entry, await hkdfKek(output, new Uint8Array(entry.salt), PASSKEY_INFO));
+    } catch (err) {
+      throw new Error('WRONG_PASSKEY');
+    }
+    await openEncryptedDB(SQL, enc, dataKey);
+  });
+  await finishInit(false);
+  offerSessionKey(_dataKeyBytes);
+  return db;
+}
+
+// --- Unlock Throttling ---
+// The service worker counts failed unlocks and enforces the backoff, so it
+// survives closing the popup. LOCKED_OUT means wait for getUnlockLockout().
+
+let _failedUnlocks = [];
+
+async function throttledUnlock(method, attempt) {
+  const gate = await sendToWorker({ type: 'beginUnlock' });
+  if (gate && !gate.allowed) throw new Error('LOCKED_OUT');
+  try {
+    await attempt();
+  } catch (err) {
+    if (['WRONG_PASSPHRASE', 'WRONG_RECOVERY_KEY', 'WRONG_PASSKEY'].includes(err.message)) {
+      await sendToWorker({ type: 'recordUnlockFailure', method });
+    }
+    throw err;
+  }
+  _failedUnlocks = (await sendToWorker({ type: 'recordUnlockSuccess' })) || [];
+}
+
+// Timestamp the current lockout ends, or 0
+async function getUnlockLockout() {
+  const status = await sendToWorker({ type: 'getUnlockStatus' });
+  return status ? status.lockedUntil : 0;
+}
+
+// Failed attempts from before the last unlock; handed out once
+function takeFailedUnlocks() {
+  const failures = _failedUnlocks;
+  _failedUnlocks = [];
+  return failures;
+}
+
+// --- Sessions ---
+// With session unlock turned on, the service worker keeps the data key in
+// storage.session (memory only, gone on browser restart) for a few minutes,
+// so reopening the popup skips the PBKDF2 run. Lock settings live there too.
+
+function offerSessionKey(keyBytes) {
+  if (!keyBytes) return;
+  sendToWorker({ type: 'storeSessionKey', key: Array.from(keyBytes) });
+}
+
+// Reopens the vault with a kept session key; false when there is none
+async function resumeSession() {
+  const stored = await browserAPI.storage.local.get('accountDB_encrypted');
+  if (!stored.accountDB_encrypted?.keys) return false;
+
+  const key = await sendToWorker({ type: 'getSessionKey' });
+  if (!Array.isArray(key)) return false;
+
+  const SQL = await loadSqlJs();
+  try {
+    await openEncryptedDB(SQL, stored.accountDB_encrypted, new Uint8Array(key));
+  } catch (err) {
+    // Stale key — kept before the vault was re-keyed
+    sendToWorker({ type: 'clearSessionKey' });
+    return false;
+  }
+  await finishInit(false);
+  return true;
+}
+
+// Forgets the session key and locks every open page
+function lockEverywhere() {
+  sendToWorker({ type: 'lockAll' });
+}
+
+// Called when the worker locks all pages (Lock button elsewhere, idle, screen lock)
+function onLockEverywhere(callback) {
+  browserAPI.runtime.onMessage.addListener((message) => {
+    if (message && message.type === 'lockNow' && db) callback();
+  });
+}
+
+async function fetchLockSettings() {
+  return (await sendToWorker({ type: 'getLockSettings' })) || { autoLockMinutes: 0, lockOnIdle: false, sessionMinutes: 0 };
+}
+
+// Resolves undefined when the worker can't be reached (e.g. outside the extension)
+async function sendToWorker(message) {
+  try {
+    return await browserAPI.runtime.sendMessage(message);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+// --- Multi-page Sync ---
+
+// The popup and the dashboard each hold their own decrypted copy. When one of
+// them saves, the others reload from storage rather than overwrite it later.
+function watchForExternalChanges({ onReload, onLock }) {
+  browserAPI.storage.onChanged.addListener(async (changes, area) => {
+    if (area !== 'local' || !db || !_cryptoKey) return;
+    if (changes.pendingActions && (changes.pendingActions.newValue || []).length) {
+      if (await applyQueuedActions()) onReload();
+      return;
+    }
+    if (!changes.accountDB_encrypted) return;
+    const enc = changes.accountDB_encrypted.newValue;
+    if (!enc || enc.iv.join(',') === _lastSavedIv) return;
+
+    try {
+      const decrypted = await decryptData(
+        new Uint8Array(enc.data), new Uint8Array(enc.iv), _cryptoKey
+      );
+      const SQL = await loadSqlJs();
+      db.close();
+      db = new SQL.Database(decrypted);
+      _lastSavedIv = enc.iv.join(',');
+      // Passphrase or recovery key may have changed there
+      _keyring = enc.keys || _keyring;
+      loadStatusSettings();
+      onReload();
+    } catch (err) {
+      // Vault re-keyed on another page — this copy can't be saved anymore
+      lockDB();
+      onLock();
+    }
+  });
+}
+
+// --- CRUD Operations ---
+
+async function addAccount({ service_name, url, username, category, refresh_interval_days, reminder_lead_days, last_password_change, notes, tags, snoozed_until, snooze_reason, exempt, exempt_reason }, source = 'edit') {
+  const dateAdded = new Date().toISOString();
+  const changedAt = last_password_change || dateAdded;
+  const interval = resolveInterval({ category: category || 'general' }, { refresh_interval_days });
+  db.run(
+    `INSERT INTO accounts (service_name, url, username, category, refresh_interval_days, interval_customized, reminder_lead_days, last_password_change, date_added, notes,
+       snoozed_until, snooze_reason, exempt, exempt_reason)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [service_name, url || '', username || '', category || 'general', interval.refresh_interval_days, interval.interval_customized, normalizeLeadDays(reminder_lead_days), changedAt, dateAdded, notes || '',
+      snoozed_until || null, snoozed_until ? (snooze_reason || null) : null, exempt ? 1 : 0, exempt ? (exempt_reason || null) : null]
+  );
+  const id = lastInsertId();
+  recordPasswordEvent(id, changedAt, source);
+  if (tags) setAccountTags(id, tags);
+  await saveDB();
+  return id;
+}
+
+async function updateAccount(id, fields, { source = 'edit', note = '' } = {}) {
+  const allowed = [
+    'service_name', 'url', 'username', 'category', 'refresh_interval_days', 'interval_customized',
+    'reminder_lead_days', 'last_password_change', 'notes',
+    'snoozed_until', 'snooze_reason', 'exempt', 'exempt_reason'
+  ];
+  const sets = [];
+  const values = [];
+  if (fields.category !== undefined || fields.refresh_interval_days !== undefined) {
+    const current = getAccount(id);
+    if (current) fields = { ...fields, ...resolveInterval(current, fields) };
+  }
+  if (fields.reminder_lead_days !== undefined) {
+    fields = { ...fields, reminder_lead_days: normalizeLeadDays(fields.reminder_lead_days) };
+  }
+  for (const [key, val] of Object.entries(fields)) {
+    if (allowed.includes(key)) {
+      sets.push(`${key} = ?`);
+      values.push(val);
+    }
+  }
+  if (sets.length === 0 && fields.tags === undefined) return;
+
+  // Keep a history entry whenever the rotation date actually moves
+  if (fields.last_password_change) {
+    const current = getAccount(id);
+    if (current && current.last_password_change !== fields.last_password_change) {
+      recordPasswordEvent(id, fields.last_password_change, source, note);
+    }
+  }
+
+  if (sets.length > 0) {
+    values.push(id);
+    db.run(`UPDATE accounts SET ${sets.join(', ')} WHERE id = ?`, values);
+  }
+  if (fields.tags !== undefined) setAccountTags(id, fields.tags);
+  await saveDB();
+}
+
+async function deleteAccount(id) {
+  await deleteAccounts([id]);
+}
+
+async function markRefreshed(id, source = 'manual', note = '') {
+  await markRefreshedMany([id], source, note);
+}
+
+// --- Bulk Operations ---
+// Each runs in one transaction and re-encrypts the database once.
+
+const BULK_FIELDS = ['category', 'refresh_interval_days'];
+
+// A fresh rotation also ends any snooze
+async function markRefreshedMany(ids, source = 'manual', note = '') {
+  const now = new Date().toISOString();
+  runInTransaction(() => {
+    for (const id of ids) {
+      db.run(
+        'UPDATE accounts SET last_password_change = ?, snoozed_until = NULL, snooze_reason = NULL WHERE id = ?',
+        [now, id]
+      );
+      recordPasswordEvent(id, now, source, note);
+    }
+  });
+  await saveDB();
+}
+
+// Moves accounts to the trash; see restoreAccounts / purgeAccounts
+async function deleteAccounts(ids) {
+  const now = new Date().toISOString();
+  runInTransaction(() => {
+    for (const id of ids) {
+      db.run('UPDATE accounts SET deleted_at = ? WHERE id = ? AND deleted_at IS NULL', [now, id]);
+    }
+  });
+  await saveDB();
+}
+
+async function updateAccounts(ids, fields) {
+  const changes = {};
+  for (const key of BULK_FIELDS) {
+    if (fields[key] !== undefined) changes[key] = fields[key];
+  }
+  if (Object.keys(changes).length === 0 || ids.length === 0) return;
+
+  runInTransaction(() => {
+    for (const id of ids) {
+      const current = getAccount(id);
+      if (!current) continue;
+      const row = { ...changes, ...resolveInterval(current, changes) };
+      const keys = Object.keys(row);
+      db.run(
+        `UPDATE accounts SET ${keys.map(k => `${k} = ?`).join(', ')} WHERE id = ?`,
+        [...keys.map(k => row[k]), id]
+      );
+    }
+  });
+  await saveDB();
+}
+
+// --- Snooze & Exempt ---
+// Snoozed accounts are quiet until a date; exempt ones (passkey-only, SSO
+// managed, ...) never come due. Both keep a reason so the risk stays visible.
+
+async function snoozeAccounts(ids, until, reason = '') {
+  const date = new Date(until);
+  if (isNaN(date.getTime())) throw new Error('INVALID_DATE');
+  runInTransaction(() => {
+    for (const id of ids) {
+      db.run(
+        'UPDATE accounts SET snoozed_until = ?, snooze_reason = ? WHERE id = ?',
+        [date.toISOString(), (reason || '').trim().slice(0, 200), id]
+      );
+    }
+  });
+  await saveDB();
+}
+
+async function clearSnooze(ids) {
+  runInTransaction(() => {
+    for (const id of ids) {
+      db.run('UPDATE accounts SET snoozed_until = NULL, snooze_reason = NULL WHERE id = ?', [id]);
+    }
+  });
+  await saveDB();
+}
+
+async function setExempt(ids, exempt, reason = '') {
+  runInTransaction(() => {
+    for (const id of ids) {
+      db.run(
+        'UPDATE accounts SET exempt = ?, exempt_reason = ? WHERE id = ?',
+        [exempt ? 1 : 0, exempt ? (reason || '').trim().slice(0, 200) : null, id]
+      );
+    }
+  });
+  await saveDB();
+}
+
+// --- Queued Notification Actions ---
+// Notification buttons and finished guided rotations happen while the vault
+// may be locked, so the service worker queues them in storage.local and the
+// next unlocked page applies them. The worker hands the queue out once, so
+// two unlocked pages never both apply it.
+// Detected password changes come by site rather than by id; see
+// matchChangedAccounts. Those that fit more than one account wait in
+// takeUnresolvedChanges for the page to ask which one it was.
+
+let _unresolvedChanges = [];
+
+async function applyQueuedActions() {
+  const actions = (await sendToWorker({ type: 'claimQueuedActions' })) || [];
+  if (!Array.isArray(actions) || actions.length === 0) return 0;
+
+  const userHashes = actions.some(action => action.domain) ? await usernameHashes() : new Map();
+
+  const applied = runInTransaction(() => {
+    let count = 0;
+    for (const action of actions) {
+      if (!action.domain) {
+        if (applyQueuedAction(action)) count++;
+        continue;
+      }
+      const candidates = matchChangedAccounts(action.domain, action.user_hash, userHashes);
+      if (candidates.length === 1) {
+        if (applyQueuedAction({ ...action, id: candidates[0].id })) count++;
+      } else if (candidates.length > 1) {
+        _unresolvedChanges.push({ ...action, candidates: candidates.map(a => a.id) });
+      }
+    }
+    return count;
+  });
+
+  if (applied > 0) await saveDB();
+  return applied;
+}
+
+// Caller runs this in a transaction and saves; false when there was nothing to do
+function applyQueuedAction(action) {
+  const account = getAccount(action.id);
+  const at = new Date(action.at);
+  if (!account || account.deleted_at || isNaN(at.getTime())) return false;
+
+  if (action.type === 'refresh') {
+    // A later change made elsewhere wins over the queued one
+    if (account.last_password_change && new Date(account.last_password_change) >= at) return false;
+    db.run(
+      'UPDATE accounts SET last_password_change = ?, snoozed_until = NULL, snooze_reason = NULL WHERE id = ?',
+      [at.toISOString(), account.id]
+    );
+    const source = PASSWORD_EVENT_SOURCES.includes(action.source) ? action.source : 'notification';
+    recordPasswordEvent(account.id, at.toISOString(), source);
+    return true;
+  }
+  if (action.type === 'snooze') {
+    const days = Math.min(Math.max(parseInt(action.days, 10) || 1, 1), 30);
+    const until = new Date(at.getTime() + days * 24 * 60 * 60 * 1000);
+    db.run(
+      'UPDATE accounts SET snoozed_until = ?, snooze_reason = ? WHERE id = ?',
+      [until.toISOString(), 'Snoozed from a notification', account.id]
+    );
+    return true;
+  }
+  return false;
+}
+
+// Account id -> salted hash of its username, comparable with the user_hash
+// the worker records from the submitted form
+async function usernameHashes() {
+  const salt = await sendToWorker({ type: 'getScheduleSalt' });
+  const hashes = new Map();
+  if (!salt) return hashes;
+  for (const a of getAllAccounts()) {
+    hashes.set(a.id, await scheduleHash(String(a.username || '').trim().toLowerCase(), salt));
+  }
+  return hashes;
+}
+
+// The accounts a password change on `host` may belong to: those on exactly
+// that host, then (only if there are none) those on its parent domain. A
+// submitted username narrows either list to the accounts saved under it, or
+// failing that to the ones saved without a username.
+function matchChangedAccounts(host, userHash, userHashes) {
+  const accounts = getAllAccounts();
+  const forUser = list => {
+    if (!userHash) return list;
+    const same = list.filter(a => userHashes.get(a.id) === userHash);
+    return same.length ? same : list.filter(a => !a.username);
+  };
+  const onHost = forUser(accounts.filter(a => accountHost(a) === host));
+  if (onHost.length) return onHost;
+  const parent = parentDomain(host);
+  return parent ? forUser(accounts.filter(a => accountHost(a) === parent)) : [];
+}
+
+// Detected changes that fit more than one account, as
+// { domain, at, candidates: [ids] }; handed out once
+function takeUnresolvedChanges() {
+  const changes = _unresolvedChanges;
+  _unresolvedChanges = [];
+  return changes;
+}
+
+// Applies a change from takeUnresolvedChanges to the account the user picked
+async function resolveDetectedChange(change, id) {
+  if (!change.candidates.includes(id)) return false;
+  const applied = runInTransaction(() => applyQueuedAction({ ...change, id }));
+  if (applied) await saveDB();
+  return applied;
+}
+
+// --- Settings ---
+// Vault-wide preferences, stored (and encrypted) with the accounts.
+
+function getSetting(key, fallback = null) {
+  const results = db.exec('SELECT value FROM settings WHERE key = ?', [key]);
+  if (!results.length) return fallback;
+  try {
+    return JSON.parse(results[0].values[0][0]);
+  } catch (err) {
+    return fallback;
+  }
+}
+
+// Caller saves; see setSettings for the usual case
+function writeSetting(key, value) {
+  db.run('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)', [key, JSON.stringify(value)]);
+}
+
+// Writes every key in one transaction and saves once. `applyIntervals` also
+// moves accounts onto the category_intervals being saved (see
+// applyCategoryIntervals); returns how many accounts that changed.
+async function setSettings(values, { applyIntervals = false } = {}) {
+  let changed = 0;
+  runInTransaction(() => {
+    for (const [key, value] of Object.entries(values)) writeSetting(key, value);
+    if (applyIntervals) changed = applyCategoryIntervals();
+  });
+  loadStatusSettings();
+  await saveDB();
+  return changed;
+}
+
+// --- Due Soon Window ---
+// How many days before the due date an account turns "due soon". Vault-wide
+// default in settings, overridable per account via reminder_lead_days.
+
+const DEFAULT_DUE_SOON_DAYS = 7;
+let _dueSoonDays = DEFAULT_DUE_SOON_DAYS;
+
+function loadStatusSettings() {
+  _dueSoonDays = normalizeLeadDays(getSetting('due_soon_days')) ?? DEFAULT_DUE_SOON_DAYS;
+}
+
+function getDueSoonDays() {
+  return _dueSoonDays;
+}
+
+// Lead times are whole days, 0-365; anything else means "use the default"
+function normalizeLeadDays(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const days = parseInt(value, 10);
+  return isNaN(days) || days < 0 || days > 365 ? null : days;
+}
+
+// --- Refresh Interval Policy ---
+// Each category has a default interval. Accounts keep following it (through
+// policy changes and category moves) until someone picks a different number,
+// which sets interval_customized.
+
+const DEFAULT_REFRESH_INTERVAL = 90;
+
+const INTERVAL_PROFILES = {
+  standard: {
+    label: 'Standard — 90 days everywhere',
+    intervals: {}
+  },
+  strict: {
+    label: 'Strict — tighter for money, email and work',
+    intervals: { financial: 30, email: 60, work: 60, streaming: 180, gaming: 180 }
+  },
+  relaxed: {
+    label: 'Relaxed — yearly for low-risk accounts',
+    intervals: { financial: 90, email: 180, work: 180, general: 365, social: 365, shopping: 365, streaming: 365, gaming: 365 }
+  }
+};
+
+function getCategoryIntervals() {
+  return getSetting('category_intervals', {});
+}
+
+function defaultIntervalFor(category) {
+  const days = getCategoryIntervals()[category];
+  return Number.isInteger(days) ? days : DEFAULT_REFRESH_INTERVAL;
+}
+
+// Interval and customized flag for an account after `fields` are applied.
+// `current` is the stored row, or just { category } for a new account.
+function resolveInterval(current, fields) {
+  const category = fields.category ?? current.category ?? 'general';
+  const fallback = defaultIntervalFor(category);
+
+  if (fields.refresh_interval_days) {
+    const days = fields.refresh_interval_days;
+    return { refresh_interval_days: days, interval_customized: days !== fallback ? 1 : 0 };
+  }
+  if (!current.refresh_interval_days || (!current.interval_customized && category !== current.category)) {
+    return { refresh_interval_days: fallback, interval_customized: 0 };
+  }
+  return {
+    refresh_interval_days: current.refresh_interval_days,
+    interval_customized: current.interval_customized ? 1 : 0
+  };
+}
+
+// Moves every account that hasn't been customized onto its category's
+// default. Returns how many accounts changed interval; caller saves.
+function applyCategoryIntervals() {
+  let changed = 0;
+  for (const a of getAllAccounts()) {
+    if (a.interval_customized) continue;
+    const days = defaultIntervalFor(a.category || 'general');
+    if (days === a.refresh_interval_days) continue;
+    db.run('UPDATE accounts SET refresh_interval_days = ? WHERE id = ?', [days, a.id]);
+    changed++;
+  }
+  return changed;
 }
 
-async function decryptData(encryptedData, iv, key) {
-  const decrypted = await crypto.subtle.decrypt(
-    { name: 'AES-GCM', iv }, key, encryptedData
-  );
-  return new Uint8Array(decrypted);
+// --- Change-Password Pages ---
+// The user's own domain -> URL entries; they take precedence over the
+// bundled list in shared/change-password.js.
+
+function getChangePasswordUrls() {
+  const urls = getSetting('change_password_urls', {});
+  return urls && typeof urls === 'object' && !Array.isArray(urls) ? urls : {};
 }
 
-// --- DB State Detection ---
+// --- Categories ---
+// Accounts store the category id (a slug); names and colors live here.
+// 'general' is the fallback for new and imported accounts, so it can be
+// renamed but not deleted.
 
-async function getDBState() {
-  const stored = await browserAPI.storage.local.get(['accountDB', 'accountDB_encrypted']);
-  if (stored.accountDB_encrypted) return 'encrypted';
-  if (stored.accountDB) return 'unencrypted';
-  return 'new';
+const CATEGORY_COLOR_RE = /^#[0-9a-f]{6}$/i;
+
+function getCategories() {
+  const results = db.exec('SELECT * FROM categories ORDER BY sort_order, name COLLATE NOCASE');
+  return parseResults(results);
 }
 
-// --- Init ---
+// Looks a category up by id or by name, ignoring case
+function findCategory(value) {
+  const v = String(value || '').trim().toLowerCase();
+  if (!v) return null;
+  return getCategories().find(c => c.id === v || c.name.toLowerCase() === v) || null;
+}
 
-async function initDB(passphrase) {
-  const SQL = await initSqlJs({
-    locateFile: file => browserAPI.runtime.getURL(`lib/${file}`)
-  });
+function categorySlug(name) {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'category';
+  const taken = new Set(getCategories().map(c => c.id));
+  let slug = base;
+  for (let n = 2; taken.has(slug); n++) slug = `${base}-${n}`;
+  return slug;
+}
 
-  const stored = await browserAPI.storage.local.get(['accountDB', 'accountDB_encrypted']);
+// Returns the id for `value`, creating the category if it doesn't exist.
+// Caller owns the transaction and the save.
+function ensureCategory(value, { name, color } = {}) {
+  const existing = findCategory(value) || (name && findCategory(name));
+  if (existing) return existing.id;
 
-  if (stored.accountDB_encrypted) {
-    // Decrypt existing encrypted DB
-    const enc = stored.accountDB_encrypted;
-    _cryptoSalt = new Uint8Array(enc.salt);
-    _cryptoKey = await deriveKey(passphrase, _cryptoSalt);
-    try {
-      const decrypted = await decryptData(
-        new Uint8Array(enc.data), new Uint8Array(enc.iv), _cryptoKey
+  const label = String(name || value).trim().slice(0, 50) || 'General';
+  const id = categorySlug(String(value || label));
+  const sortOrder = (getCategories().reduce((max, c) => Math.max(max, c.sort_order || 0), 0)) + 1;
+  db.run(
+    'INSERT INTO categories (id, name, color, sort_order) VALUES (?, ?, ?, ?)',
+    [id, label, CATEGORY_COLOR_RE.test(color || '') ? color : '#64748b', sortOrder]
+  );
+  return id;
+}
+
+async function createCategory(name, color) {
+  const label = (name || '').trim().slice(0, 50);
+  if (!label) throw new Error('CATEGORY_NAME_REQUIRED');
+  if (findCategory(label)) throw new Error('CATEGORY_EXISTS');
+  const id = ensureCategory(label, { color });
+  await saveDB();
+  return id;
+}
+
+async function updateCategory(id, { name, color }) {
+  const sets = [];
+  const values = [];
+  if (name !== undefined) {
+    const label = name.trim().slice(0, 50);
+    if (!label) throw new Error('CATEGORY_NAME_REQUIRED');
+    const clash = findCategory(label);
+    if (clash && clash.id !== id) throw new Error('CATEGORY_EXISTS');
+    sets.push('name = ?');
+    values.push(label);
+  }
+  if (color !== undefined && CATEGORY_COLOR_RE.test(color)) {
+    sets.push('color = ?');
+    values.push(color);
+  }
+  if (sets.length === 0) return;
+  db.run(`UPDATE categories SET ${sets.join(', ')} WHERE id = ?`, [...values, id]);
+  await saveDB();
+}
+
+function countAccountsInCategory(id) {
+  const results = db.exec('SELECT COUNT(*) FROM accounts WHERE category = ? AND deleted_at IS NULL', [id]);
+  return results.length ? results[0].values[0][0] : 0;
+}
+
+// Deletes a category and moves its accounts (trashed ones too) to another.
+// Returns how many accounts were moved.
+async function deleteCategory(id, reassignTo) {
+  if (id === 'general') throw new Error('CATEGORY_PROTECTED');
+  if (id === reassignTo || !getCategories().some(c => c.id === reassignTo)) {
+    throw new Error('CATEGORY_NOT_FOUND');
+  }
+
+  let moved = 0;
+  runInTransaction(() => {
+    const results = db.exec('SELECT * FROM accounts WHERE category = ?', [id]);
+    for (const a of parseResults(results)) {
+      const interval = resolveInterval(a, { category: reassignTo });
+      db.run(
+        'UPDATE accounts SET category = ?, refresh_interval_days = ?, interval_customized = ? WHERE id = ?',
+        [reassignTo, interval.refresh_interval_days, interval.interval_customized, a.id]
       );
-      db = new SQL.Database(decrypted);
-      db.exec('SELECT count(*) FROM accounts');
-    } catch (err) {
-      _cryptoKey = null;
-      _cryptoSalt = null;
-      db = null;
-      throw new Error('WRONG_PASSPHRASE');
-    }
-  } else if (stored.accountDB) {
-    // Migrate unencrypted DB to encrypted
-    _cryptoSalt = crypto.getRandomValues(new Uint8Array(16));
-    _cryptoKey = await deriveKey(passphrase, _cryptoSalt);
-    try {
-      db = new SQL.Database(new Uint8Array(stored.accountDB));
-      db.exec('SELECT count(*) FROM accounts');
-    } catch (err) {
-      console.warn('Stored database corrupted, creating fresh database:', err);
-      db = null;
-    }
-    if (db) {
-      await saveDB();
-      // Remove old unencrypted data
-      await browserAPI.storage.local.remove('accountDB');
+      moved++;
     }
-  }
+    db.run('DELETE FROM categories WHERE id = ?', [id]);
 
-  if (!db) {
-    // Brand new DB
-    if (!_cryptoKey) {
-      _cryptoSalt = crypto.getRandomValues(new Uint8Array(16));
-      _cryptoKey = await deriveKey(passphrase, _cryptoSalt);
+    const intervals = getCategoryIntervals();
+    if (id in intervals) {
+      delete intervals[id];
+      writeSetting('category_intervals', intervals);
     }
-    db = new SQL.Database();
-    db.run(`
-      CREATE TABLE IF NOT EXISTS accounts (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        service_name TEXT NOT NULL,
-        url TEXT,
-        username TEXT,
-        category TEXT DEFAULT 'general',
-        refresh_interval_days INTEGER DEFAULT 90,
-        last_password_change TEXT,
-        date_added TEXT,
-        notes TEXT
-      )
-    `);
-    await saveDB();
+  });
+  await saveDB();
+  return moved;
+}
+
+// --- Tags ---
+// Free-form labels, many per account. Tags exist only while in use.
+
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  const seen = new Set();
+  const result = [];
+  for (const tag of list) {
+    if (typeof tag !== 'string') continue;
+    const name = tag.trim().replace(/\s+/g, ' ').slice(0, 40);
+    if (!name || seen.has(name.toLowerCase())) continue;
+    seen.add(name.toLowerCase());
+    result.push(name);
   }
-  return db;
+  return result.slice(0, 20);
 }
 
-async function saveDB() {
-  try {
-    const rawData = db.export();
-    if (_cryptoKey && _cryptoSalt) {
-      const { iv, data } = await encryptData(rawData, _cryptoKey);
-      await browserAPI.storage.local.set({
-        accountDB_encrypted: {
-          salt: Array.from(_cryptoSalt),
-          iv: Array.from(iv),
-          data: Array.from(data)
-        }
-      });
-    }
-  } catch (err) {
-    console.error('Failed to save database:', err);
+// Replaces an account's tags. Caller owns the transaction and the save.
+function setAccountTags(accountId, tags) {
+  db.run('DELETE FROM account_tags WHERE account_id = ?', [accountId]);
+  addAccountTags(accountId, tags);
+  pruneTags();
+}
+
+function addAccountTags(accountId, tags) {
+  for (const name of normalizeTags(tags)) {
+    db.run('INSERT OR IGNORE INTO tags (name) VALUES (?)', [name]);
+    db.run(
+      'INSERT OR IGNORE INTO account_tags (account_id, tag_id) SELECT ?, id FROM tags WHERE name = ?',
+      [accountId, name]
+    );
   }
 }
 
-function lockDB() {
-  _cryptoKey = null;
-  _cryptoSalt = null;
-  if (db) {
-    db.close();
-    db = null;
+function removeAccountTags(accountId, tags) {
+  for (const name of normalizeTags(tags)) {
+    db.run(
+      'DELETE FROM account_tags WHERE account_id = ? AND tag_id IN (SELECT id FROM tags WHERE name = ?)',
+      [accountId, name]
+    );
   }
+  pruneTags();
 }
 
-async function changePassphrase(newPassphrase) {
-  _cryptoSalt = crypto.getRandomValues(new Uint8Array(16));
-  _cryptoKey = await deriveKey(newPassphrase, _cryptoSalt);
-  await saveDB();
+function pruneTags() {
+  db.run('DELETE FROM tags WHERE id NOT IN (SELECT tag_id FROM account_tags)');
 }
 
-// --- CRUD Operations ---
+// Tag names in use by active accounts, with counts
+function getTags() {
+  const results = db.exec(`
+    SELECT t.name, COUNT(a.id) AS count
+    FROM tags t
+    JOIN account_tags at ON at.tag_id = t.id
+    JOIN accounts a ON a.id = at.account_id AND a.deleted_at IS NULL
+    GROUP BY t.id
+    ORDER BY t.name COLLATE NOCASE
+  `);
+  return parseResults(results);
+}
 
-async function addAccount({ service_name, url, username, category, refresh_interval_days, last_password_change, notes }) {
-  const dateAdded = new Date().toISOString();
-  db.run(
-    `INSERT INTO accounts (service_name, url, username, category, refresh_interval_days, last_password_change, date_added, notes)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-    [service_name, url || '', username || '', category || 'general', refresh_interval_days || 90, last_password_change || dateAdded, dateAdded, notes || '']
+function getTagsByAccount() {
+  const results = db.exec(`
+    SELECT at.account_id, t.name
+    FROM account_tags at JOIN tags t ON t.id = at.tag_id
+    ORDER BY t.name COLLATE NOCASE
+  `);
+  const byAccount = new Map();
+  for (const row of parseResults(results)) {
+    if (!byAccount.has(row.account_id)) byAccount.set(row.account_id, []);
+    byAccount.get(row.account_id).push(row.name);
+  }
+  return byAccount;
+}
+
+// --- Trash ---
+
+function getTrashedAccounts() {
+  const results = db.exec(
+    'SELECT * FROM accounts WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC'
   );
-  await saveDB();
+  return parseResults(results);
 }
 
-async function updateAccount(id, fields) {
-  const allowed = ['service_name', 'url', 'username', 'category', 'refresh_interval_days', 'last_password_change', 'notes'];
-  const sets = [];
-  const values = [];
-  for (const [key, val] of Object.entries(fields)) {
-    if (allowed.includes(key)) {
-      sets.push(`${key} = ?`);
-      values.push(val);
+async function restoreAccounts(ids) {
+  runInTransaction(() => {
+    for (const id of ids) {
+      db.run('UPDATE accounts SET deleted_at = NULL WHERE id = ?', [id]);
     }
-  }
-  if (sets.length === 0) return;
-  values.push(id);
-  db.run(`UPDATE accounts SET ${sets.join(', ')} WHERE id = ?`, values);
+  });
   await saveDB();
 }
 
-async function deleteAccount(id) {
-  db.run('DELETE FROM accounts WHERE id = ?', [id]);
+// Permanently removes accounts and their history — cannot be undone
+async function purgeAccounts(ids) {
+  runInTransaction(() => purgeRows(ids));
   await saveDB();
 }
 
-async function markRefreshed(id) {
-  const now = new Date().toISOString();
-  db.run('UPDATE accounts SET last_password_change = ? WHERE id = ?', [now, id]);
-  await saveDB();
+async function emptyTrash() {
+  const ids = getTrashedAccounts().map(a => a.id);
+  await purgeAccounts(ids);
+  return ids.length;
+}
+
+function purgeRows(ids) {
+  for (const id of ids) {
+    db.run('DELETE FROM accounts WHERE id = ?', [id]);
+    db.run('DELETE FROM password_events WHERE account_id = ?', [id]);
+    db.run('DELETE FROM account_tags WHERE account_id = ?', [id]);
+  }
+  pruneTags();
+}
+
+function getAccount(id) {
+  const results = db.exec('SELECT * FROM accounts WHERE id = ?', [id]);
+  return withTags(parseResults(results))[0] || null;
 }
 
 function getAllAccounts() {
-  const results = db.exec('SELECT * FROM accounts ORDER BY service_name COLLATE NOCASE');
-  return parseResults(results);
+  const results = db.exec(
+    'SELECT * FROM accounts WHERE deleted_at IS NULL ORDER BY service_name COLLATE NOCASE'
+  );
+  return withTags(parseResults(results));
 }
 
 function searchAccounts(query) {
   const q = `%${query}%`;
   const results = db.exec(
     `SELECT * FROM accounts
-     WHERE service_name LIKE ? OR url LIKE ? OR username LIKE ?
+     WHERE deleted_at IS NULL AND (service_name LIKE ? OR url LIKE ? OR username LIKE ?)
      ORDER BY service_name COLLATE NOCASE`,
     [q, q, q]
   );
-  return parseResults(results);
+  return withTags(parseResults(results));
+}
+
+// Attaches a `tags` array of names to each account row
+function withTags(accounts) {
+  const tags = getTagsByAccount();
+  for (const a of accounts) a.tags = tags.get(a.id) || [];
+  return accounts;
 }
 
 function getAccountsByStatus(status) {
@@ -217,38 +1589,184 @@ function getOverdueCount() {
   return all.filter(a => calcStatus(a, now) === 'overdue').length;
 }
 
+// --- Password History ---
+
+// Where a rotation was recorded from
+const PASSWORD_EVENT_SOURCES = ['manual', 'edit', 'import', 'detector', 'notification', 'rotation', 'legacy'];
+
+// Does not save — callers batch this with the change that caused it
+function recordPasswordEvent(accountId, changedAt, source, note) {
+  db.run(
+    'INSERT INTO password_events (account_id, changed_at, source, note) VALUES (?, ?, ?, ?)',
+    [
+      accountId,
+      changedAt,
+      PASSWORD_EVENT_SOURCES.includes(source) ? source : 'manual',
+      (note || '').trim().slice(0, 500)
+    ]
+  );
+  return lastInsertId();
+}
+
+function getPasswordEvents(accountId) {
+  const results = db.exec(
+    `SELECT * FROM password_events WHERE account_id = ?
+     ORDER BY changed_at DESC, id DESC`,
+    [accountId]
+  );
+  return parseResults(results);
+}
+
+// All events grouped by account id, for export
+function getPasswordEventsByAccount() {
+  const events = parseResults(db.exec('SELECT * FROM password_events ORDER BY changed_at, id'));
+  const byAccount = new Map();
+  for (const e of events) {
+    if (!byAccount.has(e.account_id)) byAccount.set(e.account_id, []);
+    byAccount.get(e.account_id).push(e);
+  }
+  return byAccount;
+}
+
 // --- Backup & Restore ---
 
 function exportAllAccounts() {
   const accounts = getAllAccounts();
+  const history = getPasswordEventsByAccount();
   return {
     version: 1,
     app: 'Able Account',
     exported_at: new Date().toISOString(),
     count: accounts.length,
+    categories: getCategories().map(c => ({ id: c.id, name: c.name, color: c.color })),
     accounts: accounts.map(a => ({
       service_name: a.service_name,
       url: a.url || '',
       username: a.username || '',
       category: a.category || 'general',
       refresh_interval_days: a.refresh_interval_days || 90,
+      reminder_lead_days: a.reminder_lead_days ?? null,
+      snoozed_until: a.snoozed_until || null,
+      snooze_reason: a.snooze_reason || '',
+      exempt: !!a.exempt,
+      exempt_reason: a.exempt_reason || '',
       last_password_change: a.last_password_change || '',
       date_added: a.date_added || '',
-      notes: a.notes || ''
+      notes: a.notes || '',
+      tags: a.tags,
+      history: (history.get(a.id) || []).map(e => ({
+        changed_at: e.changed_at,
+        source: e.source,
+        note: e.note || ''
+      }))
     }))
   };
 }
 
+// --- Encrypted Backups ---
+
+// Self-describing file: everything needed to decrypt it except the passphrase.
+// The payload is the same JSON exportAllAccounts produces.
+const ENCRYPTED_BACKUP_FORMAT = 'able-account-encrypted-backup';
+const ENCRYPTED_BACKUP_VERSION = 1;
+
+async function exportEncryptedBackup(passphrase) {
+  const payload = new TextEncoder().encode(JSON.stringify(exportAllAccounts()));
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, salt);
+  const { iv, data } = await encryptData(payload, key);
+  return {
+    format: ENCRYPTED_BACKUP_FORMAT,
+    version: ENCRYPTED_BACKUP_VERSION,
+    app: 'Able Account',
+    exported_at: new Date().toISOString(),
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: bytesToBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+    data: bytesToBase64(data)
+  };
+}
+
+function isEncryptedBackup(data) {
+  return !!data && typeof data === 'object' && data.format === ENCRYPTED_BACKUP_FORMAT;
+}
+
+// Returns the decrypted backup object, ready for validateImportData
+async function decryptBackup(file, passphrase) {
+  const { kdf, cipher } = file;
+  if (file.version > ENCRYPTED_BACKUP_VERSION) throw new Error('UNSUPPORTED_BACKUP');
+  if (!kdf || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256') throw new Error('UNSUPPORTED_BACKUP');
+  if (!cipher || cipher.name !== 'AES-GCM') throw new Error('UNSUPPORTED_BACKUP');
+  // Bound the work factor so a crafted file can't hang the popup
+  if (!Number.isInteger(kdf.iterations) || kdf.iterations < 100000 || kdf.iterations > 10000000) {
+    throw new Error('UNSUPPORTED_BACKUP');
+  }
+
+  let salt, iv, data;
+  try {
+    salt = base64ToBytes(kdf.salt);
+    iv = base64ToBytes(cipher.iv);
+    data = base64ToBytes(file.data);
+  } catch (err) {
+    throw new Error('UNSUPPORTED_BACKUP');
+  }
+
+  const key = await deriveKey(passphrase, salt, kdf.iterations);
+  let decrypted;
+  try {
+    decrypted = await decryptData(data, iv, key);
+  } catch (err) {
+    throw new Error('WRONG_PASSPHRASE');
+  }
+  return JSON.parse(new TextDecoder().decode(decrypted));
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
 function validateImportData(data) {
   if (!data || typeof data !== 'object') return 'Invalid file format.';
   if (data.app !== 'Able Account') return 'This file was not exported from Able Account.';
   if (!Array.isArray(data.accounts)) return 'No accounts found in backup file.';
   if (data.accounts.length === 0) return 'Backup file contains no accounts.';
+  const error = validateImportAccounts(data.accounts);
+  if (error) return error;
 
-  const validCategories = ['general', 'financial', 'email', 'social', 'shopping', 'streaming', 'work', 'gaming'];
+  // Carry category names and colors so unknown ones are recreated faithfully
+  if (Array.isArray(data.categories)) {
+    const byId = new Map(
+      data.categories
+        .filter(c => c && typeof c.id === 'string' && typeof c.name === 'string')
+        .map(c => [c.id, c])
+    );
+    for (const a of data.accounts) {
+      const c = byId.get(a.category);
+      if (!c) continue;
+      a.category_name = c.name.slice(0, 50);
+      if (typeof c.color === 'string') a.category_color = c.color;
+      // Same name as a local category under another id — use the local one
+      const local = findCategory(c.name);
+      if (local) a.category = local.id;
+    }
+  }
+  return null;
+}
 
-  for (let i = 0; i < data.accounts.length; i++) {
-    const a = data.accounts[i];
+// Checks and normalizes account rows in place, from a backup or a CSV import
+function validateImportAccounts(accounts) {
+  for (let i = 0; i < accounts.length; i++) {
+    const a = accounts[i];
     if (!a || typeof a !== 'object') return `Account #${i + 1} is invalid.`;
     if (typeof a.service_name !== 'string' || !a.service_name.trim()) {
       return `Account #${i + 1} is missing a service name.`;
@@ -260,69 +1778,295 @@ function validateImportData(data) {
     if (a.username && (typeof a.username !== 'string' || a.username.length > 200)) {
       return `Account #${i + 1} has an invalid username.`;
     }
-    if (a.category && !validCategories.includes(a.category)) {
+    // Unknown categories are created on import; match known ones by id or name
+    if (typeof a.category !== 'string' || !a.category.trim()) {
       a.category = 'general';
+    } else {
+      const known = findCategory(a.category);
+      a.category = known ? known.id : a.category.trim().slice(0, 50);
+    }
+    a.tags = normalizeTags(Array.isArray(a.tags) ? a.tags : []);
+    a.reminder_lead_days = normalizeLeadDays(a.reminder_lead_days);
+    if (typeof a.snoozed_until !== 'string' || isNaN(new Date(a.snoozed_until).getTime())) {
+      a.snoozed_until = null;
     }
+    a.snooze_reason = a.snoozed_until && typeof a.snooze_reason === 'string' ? a.snooze_reason.slice(0, 200) : null;
+    a.exempt = a.exempt === true || a.exempt === 1;
+    a.exempt_reason = a.exempt && typeof a.exempt_reason === 'string' ? a.exempt_reason.slice(0, 200) : null;
     if (a.refresh_interval_days != null) {
       const interval = parseInt(a.refresh_interval_days, 10);
-      if (isNaN(interval) || interval < 1 || interval > 365) a.refresh_interval_days = 90;
+      // Out-of-range intervals fall back to the category default on insert
+      if (isNaN(interval) || interval < 1 || interval > 365) a.refresh_interval_days = null;
       else a.refresh_interval_days = interval;
     }
+    a.history = sanitizeImportHistory(a.history);
   }
   return null; // no error
 }
 
+// Drops malformed history entries rather than rejecting the whole backup
+function sanitizeImportHistory(history) {
+  if (!Array.isArray(history)) return [];
+  return history
+    .filter(e => e && typeof e.changed_at === 'string' && !isNaN(new Date(e.changed_at).getTime()))
+    .slice(-500)
+    .map(e => ({
+      changed_at: e.changed_at,
+      source: PASSWORD_EVENT_SOURCES.includes(e.source) ? e.source : 'import',
+      note: typeof e.note === 'string' ? e.note.slice(0, 500) : ''
+    }));
+}
+
+// Duplicate detection key shared by every import mode
+function importKey(account) {
+  return `${(account.service_name || '').toLowerCase().trim()}|${(account.url || '').toLowerCase().trim()}`;
+}
+
+// Inserts one validated import row with its history; returns the new id.
+// Caller owns the transaction and the save.
+function insertImportedAccount(a) {
+  const changedAt = a.last_password_change || new Date().toISOString();
+  const category = ensureCategory(a.category || 'general', { name: a.category_name, color: a.category_color });
+  const interval = resolveInterval({ category }, { refresh_interval_days: a.refresh_interval_days });
+  db.run(
+    `INSERT INTO accounts (service_name, url, username, category, refresh_interval_days, interval_customized, reminder_lead_days,
+       snoozed_until, snooze_reason, exempt, exempt_reason, last_password_change, date_added, notes)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      a.service_name.trim().slice(0, 200),
+      (a.url || '').trim().slice(0, 200),
+      (a.username || '').trim().slice(0, 200),
+      category,
+      interval.refresh_interval_days,
+      interval.interval_customized,
+      a.reminder_lead_days ?? null,
+      a.snoozed_until || null,
+      a.snooze_reason || null,
+      a.exempt ? 1 : 0,
+      a.exempt_reason || null,
+      changedAt,
+      a.date_added || new Date().toISOString(),
+      (a.notes || '').trim().slice(0, 1000)
+    ]
+  );
+  const id = lastInsertId();
+  if (a.history && a.history.length > 0) {
+    for (const e of a.history) recordPasswordEvent(id, e.changed_at, e.source, e.note);
+  } else {
+    recordPasswordEvent(id, changedAt, 'import');
+  }
+  if (a.tags && a.tags.length > 0) addAccountTags(id, a.tags);
+  return id;
+}
+
 async function importAccounts(accounts, mode) {
   const existing = getAllAccounts();
-  const existingKeys = new Set(
-    existing.map(a => `${(a.service_name || '').toLowerCase()}|${(a.url || '').toLowerCase()}`)
-  );
+  const existingKeys = new Set(existing.map(importKey));
 
-  let added = 0;
   let skipped = 0;
+  const addedIds = [];
+  let trashedIds = [];
 
-  if (mode === 'replace') {
-    db.run('DELETE FROM accounts');
-    existingKeys.clear();
-  }
+  runInTransaction(() => {
+    if (mode === 'replace') {
+      // Move current accounts to the trash so the replace can be undone
+      trashedIds = existing.map(a => a.id);
+      db.run('UPDATE accounts SET deleted_at = ? WHERE deleted_at IS NULL', [new Date().toISOString()]);
+      existingKeys.clear();
+    }
+
+    for (const a of accounts) {
+      const key = importKey(a);
+      if (existingKeys.has(key)) {
+        skipped++;
+        continue;
+      }
+      existingKeys.add(key);
+      addedIds.push(insertImportedAccount(a));
+    }
+  });
+
+  await saveDB();
+  return { added: addedIds.length, skipped, addedIds, trashedIds };
+}
+
+// --- Smart Merge ---
+// Matches backup rows to existing accounts like merge does, but updates the
+// matches instead of skipping them. Rotation dates, notes and history merge
+// automatically; differing usernames, categories and intervals are conflicts
+// the user settles per row (conflict.useIncoming) before applySmartMerge.
+
+const MERGE_CONFLICT_FIELDS = ['username', 'category', 'refresh_interval_days'];
 
-  for (const a of accounts) {
-    const key = `${(a.service_name || '').toLowerCase().trim()}|${(a.url || '').toLowerCase().trim()}`;
-    if (existingKeys.has(key)) {
-      skipped++;
+function planSmartMerge(accounts) {
+  const byKey = new Map(getAllAccounts().map(a => [importKey(a), a]));
+  const seen = new Set();
+  const additions = [];
+  const updates = [];
+  let unchanged = 0;
+  let duplicates = 0;
+
+  for (const incoming of accounts) {
+    const key = importKey(incoming);
+    if (seen.has(key)) {
+      duplicates++;
       continue;
     }
-    existingKeys.add(key);
+    seen.add(key);
 
-    db.run(
-      `INSERT INTO accounts (service_name, url, username, category, refresh_interval_days, last_password_change, date_added, notes)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        a.service_name.trim().slice(0, 200),
-        (a.url || '').trim().slice(0, 200),
-        (a.username || '').trim().slice(0, 200),
-        a.category || 'general',
-        a.refresh_interval_days || 90,
-        a.last_password_change || new Date().toISOString(),
-        a.date_added || new Date().toISOString(),
-        (a.notes || '').trim().slice(0, 1000)
-      ]
-    );
-    added++;
+    const current = byKey.get(key);
+    if (!current) {
+      additions.push(incoming);
+      continue;
+    }
+
+    const changes = {};
+    if (isLaterDate(incoming.last_password_change, current.last_password_change)) {
+      changes.last_password_change = incoming.last_password_change;
+    }
+    const notes = unionNotes(current.notes, incoming.notes);
+    if (notes !== (current.notes || '')) changes.notes = notes;
+
+    const conflicts = [];
+    for (const field of MERGE_CONFLICT_FIELDS) {
+      const mine = current[field] ?? '';
+      const theirs = incoming[field] ?? '';
+      // A blank value in the backup carries no information
+      if (theirs !== '' && String(mine) !== String(theirs)) {
+        conflicts.push({ field, current: mine, incoming: theirs, useIncoming: false });
+      }
+    }
+
+    const history = newHistoryEvents(current.id, incoming.history || []);
+    if (changes.last_password_change && !history.some(e => e.changed_at === changes.last_password_change)) {
+      history.push({ changed_at: changes.last_password_change, source: 'import', note: '' });
+    }
+
+    // Tags are additive, like notes
+    const mineTags = new Set(current.tags.map(t => t.toLowerCase()));
+    const tags = (incoming.tags || []).filter(t => !mineTags.has(t.toLowerCase()));
+
+    if (Object.keys(changes).length > 0 || conflicts.length > 0 || history.length > 0 || tags.length > 0) {
+      updates.push({ id: current.id, current, incoming, changes, conflicts, history, tags });
+    } else {
+      unchanged++;
+    }
   }
 
+  return { additions, updates, unchanged, duplicates };
+}
+
+async function applySmartMerge(plan) {
+  const addedIds = [];
+  const restore = [];
+  const eventIds = [];
+  const tagsAdded = [];
+  let updated = 0;
+
+  runInTransaction(() => {
+    for (const a of plan.additions) addedIds.push(insertImportedAccount(a));
+
+    for (const u of plan.updates) {
+      const fields = { ...u.changes };
+      for (const c of u.conflicts) {
+        if (c.useIncoming) fields[c.field] = c.incoming;
+      }
+      if (fields.category !== undefined) {
+        fields.category = ensureCategory(fields.category, {
+          name: u.incoming.category_name,
+          color: u.incoming.category_color
+        });
+      }
+      if (fields.category !== undefined || fields.refresh_interval_days !== undefined) {
+        Object.assign(fields, resolveInterval(u.current, fields));
+      }
+      const keys = Object.keys(fields);
+      if (keys.length > 0) {
+        restore.push({ id: u.id, fields: Object.fromEntries(keys.map(k => [k, u.current[k]])) });
+        db.run(
+          `UPDATE accounts SET ${keys.map(k => `${k} = ?`).join(', ')} WHERE id = ?`,
+          [...keys.map(k => fields[k]), u.id]
+        );
+      }
+      for (const e of u.history) {
+        eventIds.push(recordPasswordEvent(u.id, e.changed_at, e.source, e.note));
+      }
+      if (u.tags.length > 0) {
+        addAccountTags(u.id, u.tags);
+        tagsAdded.push({ id: u.id, tags: u.tags });
+      }
+      if (keys.length > 0 || u.history.length > 0 || u.tags.length > 0) updated++;
+    }
+  });
+
+  await saveDB();
+  return {
+    added: addedIds.length,
+    updated,
+    skipped: plan.unchanged + plan.duplicates,
+    addedIds,
+    trashedIds: [],
+    restore,
+    eventIds,
+    tagsAdded
+  };
+}
+
+function isLaterDate(candidate, current) {
+  if (!candidate) return false;
+  if (!current) return true;
+  return new Date(candidate).getTime() > new Date(current).getTime();
+}
+
+// Appends lines from the backup's notes that the current notes lack
+function unionNotes(current, incoming) {
+  const mine = (current || '').trim();
+  const lines = mine ? mine.split('\n').map(l => l.trim()) : [];
+  const extra = (incoming || '').split('\n')
+    .map(l => l.trim())
+    .filter(l => l && !lines.includes(l));
+  if (extra.length === 0) return current || '';
+  return [mine, ...extra].filter(Boolean).join('\n').slice(0, 1000);
+}
+
+function newHistoryEvents(accountId, history) {
+  const known = new Set(getPasswordEvents(accountId).map(e => `${e.changed_at}|${e.source}`));
+  return history.filter(e => !known.has(`${e.changed_at}|${e.source}`));
+}
+
+// Undoes importAccounts or applySmartMerge using the result they returned
+async function revertImport({ addedIds, trashedIds, restore = [], eventIds = [], tagsAdded = [] }) {
+  runInTransaction(() => {
+    purgeRows(addedIds);
+    for (const id of trashedIds) {
+      db.run('UPDATE accounts SET deleted_at = NULL WHERE id = ?', [id]);
+    }
+    for (const { id, fields } of restore) {
+      const keys = Object.keys(fields);
+      db.run(
+        `UPDATE accounts SET ${keys.map(k => `${k} = ?`).join(', ')} WHERE id = ?`,
+        [...keys.map(k => fields[k]), id]
+      );
+    }
+    for (const id of eventIds) {
+      db.run('DELETE FROM password_events WHERE id = ?', [id]);
+    }
+    for (const { id, tags } of tagsAdded) removeAccountTags(id, tags);
+  });
   await saveDB();
-  return { added, skipped };
 }
 
 // --- Helpers ---
 
 function calcStatus(account, now) {
+  if (account.exempt) return 'exempt';
+  if (account.snoozed_until && now < new Date(account.snoozed_until)) return 'snoozed';
   if (!account.last_password_change) return 'overdue';
   const lastChange = new Date(account.last_password_change);
   const intervalMs = (account.refresh_interval_days || 90) * 24 * 60 * 60 * 1000;
   const dueDate = new Date(lastChange.getTime() + intervalMs);
-  const warningDate = new Date(dueDate.getTime() - 7 * 24 * 60 * 60 * 1000);
+  const leadDays = account.reminder_lead_days ?? _dueSoonDays;
+  const warningDate = new Date(dueDate.getTime() - leadDays * 24 * 60 * 60 * 1000);
 
   if (now >= dueDate) return 'overdue';
   if (now >= warningDate) return 'due_soon';
@@ -344,6 +2088,35 @@ function daysSinceChange(account) {
   return Math.floor((new Date() - lastChange) / (24 * 60 * 60 * 1000));
 }
 
+// "https://www.mail.google.com/x" -> "mail.google.com"; '' without a usable URL
+function accountHost(account) {
+  if (!account.url) return '';
+  try {
+    const url = /^https?:\/\//i.test(account.url) ? account.url : `https://${account.url}`;
+    return new URL(url).hostname.replace(/^www\./, '').toLowerCase();
+  } catch (err) {
+    return '';
+  }
+}
+
+// "mail.google.com" -> "google.com"; '' once only two labels are left
+function parentDomain(host) {
+  const labels = host.split('.');
+  return labels.length > 2 ? labels.slice(1).join('.') : '';
+}
+
+// Salted SHA-256 as hex, '' for an empty value; the service worker's
+// scheduleHash must produce the same
+async function scheduleHash(value, salt) {
+  if (!value) return '';
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${value}`));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function lastInsertId() {
+  return db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+}
+
 function parseResults(results) {
   if (!results || results.length === 0) return [];
   const columns = results[0].columns;
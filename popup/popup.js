@@ -3,15 +3,22 @@ let allAccounts = [];
 let currentFilter = 'all';
 let currentSort = 'name_asc';
 let currentSearch = '';
-let deleteTargetId = null;
+let currentCategory = '';
+let currentTag = '';
+let deleteTargetIds = [];
+let deleteMode = 'trash';
+let selectedIds = new Set();
 let debounceTimer = null;
 let alertDismissed = false;
 let audioCtx = null;
 let soundPlayedThisSession = false;
 let pendingImportData = null;
+let pendingMergePlan = null;
 let dbState = 'new';
 let eventsBound = false;
-let failedAttempts = 0;
+let recoveryMode = false;
+let shownRecoveryKey = null;
+let pendingChanges = [];
 
 // DOM refs — lock screen
 const lockScreen = document.getElementById('lock-screen');
@@ -22,6 +29,8 @@ const lockPassphrase = document.getElementById('lock-passphrase');
 const lockConfirm = document.getElementById('lock-confirm');
 const lockError = document.getElementById('lock-error');
 const lockSubmit = document.getElementById('lock-submit');
+const lockRecoveryToggle = document.getElementById('lock-recovery-toggle');
+const lockPasskey = document.getElementById('lock-passkey');
 
 // DOM refs — main app
 const appEl = document.getElementById('app');
@@ -29,6 +38,8 @@ const searchInput = document.getElementById('search-input');
 const clearSearchBtn = document.getElementById('clear-search');
 const filterChips = document.querySelectorAll('.chip[data-filter]');
 const sortSelect = document.getElementById('sort-select');
+const categoryFilter = document.getElementById('category-filter');
+const tagFilter = document.getElementById('tag-filter');
 const accountList = document.getElementById('account-list');
 const emptyState = document.getElementById('empty-state');
 const emptyMessage = document.getElementById('empty-message');
@@ -43,6 +54,8 @@ const formCancel = document.getElementById('form-cancel');
 const deleteOverlay = document.getElementById('delete-overlay');
 const deleteCancel = document.getElementById('delete-cancel');
 const deleteConfirm = document.getElementById('delete-confirm');
+const deleteTitle = document.getElementById('delete-title');
+const deleteMessage = document.getElementById('delete-message');
 const alertBanner = document.getElementById('alert-banner');
 const alertTitle = document.getElementById('alert-title');
 const alertDetail = document.getElementById('alert-detail');
@@ -53,11 +66,47 @@ const menuExport = document.getElementById('menu-export');
 const menuImport = document.getElementById('menu-import');
 const menuLock = document.getElementById('menu-lock');
 const menuChangePass = document.getElementById('menu-change-pass');
+const menuDashboard = document.getElementById('menu-dashboard');
+const menuTrash = document.getElementById('menu-trash');
+const menuSettings = document.getElementById('menu-settings');
+const menuRecovery = document.getElementById('menu-recovery');
+const recoveryOverlay = document.getElementById('recovery-overlay');
+const recoveryStatus = document.getElementById('recovery-status');
+const recoveryResult = document.getElementById('recovery-result');
+const recoveryKeyEl = document.getElementById('recovery-key');
+const recoveryCreate = document.getElementById('recovery-create');
+const recoveryRemove = document.getElementById('recovery-remove');
+const recoveryClose = document.getElementById('recovery-close');
+const menuPasskeys = document.getElementById('menu-passkeys');
+const passkeyOverlay = document.getElementById('passkey-overlay');
+const passkeyList = document.getElementById('passkey-list');
+const passkeyError = document.getElementById('passkey-error');
+const passkeyAdd = document.getElementById('passkey-add');
+const attemptsOverlay = document.getElementById('attempts-overlay');
+const changeOverlay = document.getElementById('change-overlay');
+const settingsOverlay = document.getElementById('settings-overlay');
+const settingsForm = document.getElementById('settings-form');
+const settingsProfile = document.getElementById('settings-profile');
+const settingsIntervals = document.getElementById('settings-intervals');
+const categoryList = document.getElementById('category-list');
+const categoryAddForm = document.getElementById('category-add-form');
+const trashOverlay = document.getElementById('trash-overlay');
+const trashList = document.getElementById('trash-list');
+const trashEmptyMsg = document.getElementById('trash-empty');
+const trashEmptyBtn = document.getElementById('trash-empty-btn');
 const importOverlay = document.getElementById('import-overlay');
 const importCancel = document.getElementById('import-cancel');
 const importConfirmBtn = document.getElementById('import-confirm');
 const importFileInput = document.getElementById('import-file-input');
 const importMessage = document.getElementById('import-message');
+const importTitle = document.getElementById('import-title');
+const importPreview = document.getElementById('import-preview');
+const importPassGroup = document.getElementById('import-passphrase-group');
+const importPassphrase = document.getElementById('import-passphrase');
+const importError = document.getElementById('import-error');
+const mergeOverlay = document.getElementById('merge-overlay');
+const mergeSummary = document.getElementById('merge-summary');
+const mergeList = document.getElementById('merge-list');
 const passphraseOverlay = document.getElementById('passphrase-overlay');
 const passphraseForm = document.getElementById('passphrase-form');
 const passNew = document.getElementById('pass-new');
@@ -67,6 +116,16 @@ const passCancel = document.getElementById('pass-cancel');
 const exportOverlay = document.getElementById('export-overlay');
 const exportCancel = document.getElementById('export-cancel');
 const exportConfirmBtn = document.getElementById('export-confirm');
+const exportPassGroup = document.getElementById('export-passphrase-group');
+const exportPassphrase = document.getElementById('export-passphrase');
+const exportError = document.getElementById('export-error');
+const exportWarning = document.getElementById('export-warning');
+const bulkBar = document.getElementById('bulk-bar');
+const bulkCount = document.getElementById('bulk-count');
+const bulkSelectAll = document.getElementById('bulk-select-all');
+const bulkEditOverlay = document.getElementById('bulk-edit-overlay');
+const bulkEditForm = document.getElementById('bulk-edit-form');
+const bulkEditCancel = document.getElementById('bulk-edit-cancel');
 
 // --- Init ---
 
@@ -74,6 +133,19 @@ document.addEventListener('DOMContentLoaded', async () => {
   dbState = await getDBState();
   configureLockScreen(dbState);
   bindLockEvents();
+  onLockEverywhere(handleLock);
+
+  // A recent unlock kept by the service worker skips the passphrase
+  if (dbState === 'encrypted') {
+    try {
+      if (await resumeSession()) {
+        await showApp();
+        return;
+      }
+    } catch (err) {
+      console.error('Session resume failed:', err);
+    }
+  }
   lockPassphrase.focus();
 });
 
@@ -92,20 +164,111 @@ function configureLockScreen(state) {
       lockSubmit.textContent = 'Encrypt & Continue';
       break;
     case 'encrypted':
-      lockTitle.textContent = 'Unlock Able Account';
-      lockSubtitle.textContent = 'Enter your passphrase to access your accounts.';
+      setRecoveryMode(false);
       lockConfirm.classList.add('hidden');
-      lockSubmit.textContent = 'Unlock';
+      storedVaultHasRecoveryKey().then(has => lockRecoveryToggle.classList.toggle('hidden', !has));
+      storedVaultHasPasskey().then(has => lockPasskey.classList.toggle('hidden', !has || !passkeySupported()));
+      refreshLockout();
       break;
   }
 }
 
+// The lock form doubles as the recovery-key form
+function setRecoveryMode(on) {
+  recoveryMode = on;
+  lockTitle.textContent = on ? 'Use Recovery Key' : 'Unlock Able Account';
+  lockSubtitle.textContent = on
+    ? 'Enter the key from your recovery kit. You\'ll choose a new passphrase next.'
+    : 'Enter your passphrase to access your accounts.';
+  lockPassphrase.type = on ? 'text' : 'password';
+  lockPassphrase.placeholder = on ? 'XXXX-XXXX-XXXX-...' : 'Passphrase';
+  lockPassphrase.value = '';
+  if (!lockoutTimer) lockSubmit.textContent = 'Unlock';
+  lockRecoveryToggle.textContent = on ? 'Back to passphrase' : 'Forgot your passphrase? Use your recovery key';
+  lockError.classList.add('hidden');
+}
+
+async function unlockWithRecoveryKey() {
+  lockSubmit.disabled = true;
+  lockSubmit.textContent = 'Unlocking...';
+  try {
+    await initDBWithRecoveryKey(lockPassphrase.value);
+    setRecoveryMode(false);
+    await showApp();
+    openPassphraseModal({ afterRecovery: true });
+  } catch (err) {
+    if (err.message === 'WRONG_RECOVERY_KEY') {
+      showLockError('That recovery key doesn\'t match. Check it against your recovery kit.');
+      lockPassphrase.select();
+    } else if (err.message === 'NO_RECOVERY_KEY') {
+      showLockError('No recovery key was set up for this data.');
+    } else if (err.message === 'LOCKED_OUT') {
+      showLockError('Too many failed attempts. Wait for the timer before trying again.');
+    } else {
+      showLockError('Failed to open database. Try again.');
+      console.error('Recovery unlock error:', err);
+    }
+  } finally {
+    lockSubmit.disabled = false;
+    lockSubmit.textContent = 'Unlock';
+  }
+  if (!db) await refreshLockout();
+}
+
+async function unlockWithPasskey() {
+  lockError.classList.add('hidden');
+  lockPasskey.disabled = true;
+  try {
+    await initDBWithPasskey();
+    setRecoveryMode(false);
+    await showApp();
+  } catch (err) {
+    if (err.message === 'LOCKED_OUT') {
+      showLockError('Too many failed attempts. Wait for the timer before trying again.');
+    } else if (passkeyErrorText(err.message)) {
+      showLockError(passkeyErrorText(err.message));
+    } else {
+      showLockError('Failed to open database. Try again.');
+      console.error('Passkey unlock error:', err);
+    }
+  } finally {
+    lockPasskey.disabled = false;
+  }
+  if (!db) await refreshLockout();
+}
+
+// The service worker holds the backoff; mirror it as a countdown on the button
+async function refreshLockout() {
+  const until = await getUnlockLockout();
+  if (!until) return;
+  startLockoutCountdown(until, (remaining) => {
+    lockSubmit.disabled = true;
+    lockSubmit.textContent = `Try again in ${remaining}`;
+  }, () => {
+    lockSubmit.disabled = false;
+    lockSubmit.textContent = 'Unlock';
+  });
+}
+
 function bindLockEvents() {
+  lockPasskey.addEventListener('click', unlockWithPasskey);
+
+  lockRecoveryToggle.addEventListener('click', () => {
+    setRecoveryMode(!recoveryMode);
+    lockPassphrase.focus();
+  });
+
   lockForm.addEventListener('submit', async (e) => {
     e.preventDefault();
     lockError.classList.add('hidden');
 
+    if (recoveryMode) {
+      await unlockWithRecoveryKey();
+      return;
+    }
+
     const passphrase = lockPassphrase.value;
+    const firstSetup = dbState !== 'encrypted';
 
     // Validate passphrase
     if (passphrase.length < 8) {
@@ -122,36 +285,28 @@ function bindLockEvents() {
       }
     }
 
-    // Brute-force delay: after 3 failures, add increasing delay
-    if (failedAttempts >= 3) {
-      const delaySec = Math.min(failedAttempts - 2, 10);
-      lockSubmit.disabled = true;
-      lockSubmit.textContent = `Wait ${delaySec}s...`;
-      await new Promise(r => setTimeout(r, delaySec * 1000));
-    }
-
     // Disable form during key derivation
     lockSubmit.disabled = true;
     lockSubmit.textContent = 'Decrypting...';
 
     try {
       await initDB(passphrase);
-      failedAttempts = 0;
-      // Success — show main app
-      lockScreen.classList.add('hidden');
-      appEl.classList.remove('hidden');
-      loadAccounts();
-      bindEvents();
-      await importPendingAccounts();
+      await showApp();
+      if (firstSetup) openRecoveryModal({ afterSetup: true });
     } catch (err) {
       if (err.message === 'WRONG_PASSPHRASE') {
-        failedAttempts++;
-        const msg = failedAttempts >= 3
-          ? `Wrong passphrase. Please try again. (${failedAttempts} failed attempts)`
-          : 'Wrong passphrase. Please try again.';
-        showLockError(msg);
+        showLockError('Wrong passphrase. Please try again.');
         lockPassphrase.value = '';
         lockPassphrase.focus();
+      } else if (err.message === 'LOCKED_OUT') {
+        showLockError('Too many failed attempts. Wait for the timer before trying again.');
+      } else if (err.message === 'UNSUPPORTED_SCHEMA') {
+        showLockError('This data was saved by a newer version of Able Account. Please update the extension.');
+      } else if (err.message === 'MIGRATION_FAILED') {
+        showLockError('Failed to upgrade your database. Your data has not been changed.');
+        console.error('DB migration error:', err);
+      } else if (err.message === 'KDF_UNAVAILABLE' || err.message === 'UNSUPPORTED_KDF') {
+        showLockError('Your passphrase uses a key derivation this version of Able Account can\'t run. Please update the extension.');
       } else {
         showLockError('Failed to open database. Try again.');
         console.error('DB init error:', err);
@@ -163,9 +318,26 @@ function bindLockEvents() {
       else if (dbState === 'new') lockSubmit.textContent = 'Create & Continue';
       else lockSubmit.textContent = 'Encrypt & Continue';
     }
+    if (!db && dbState === 'encrypted') await refreshLockout();
   });
 }
 
+async function showApp() {
+  const applied = await applyQueuedActions();
+  lockScreen.classList.add('hidden');
+  appEl.classList.remove('hidden');
+  loadAccounts();
+  bindEvents();
+  if (applied) showToast(`Applied ${applied} action${applied !== 1 ? 's' : ''} from notifications`);
+  const changes = takeUnresolvedChanges();
+  if (changes.length) openChangePicker(changes);
+  const failures = takeFailedUnlocks();
+  if (failures.length) openAttemptsModal(failures);
+  const lockSettings = await fetchLockSettings();
+  startAutoLock(lockSettings.autoLockMinutes, lockAllPages);
+  await importPendingAccounts();
+}
+
 function showLockError(msg) {
   lockError.textContent = msg;
   lockError.classList.remove('hidden');
@@ -177,6 +349,15 @@ function bindEvents() {
   if (eventsBound) return;
   eventsBound = true;
 
+  // Another extension page (e.g. the dashboard) saved changes
+  watchForExternalChanges({
+    onReload: () => loadAccounts(),
+    onLock: () => {
+      handleLock();
+      showLockError('Your data was re-keyed in another window. Unlock again to continue.');
+    }
+  });
+
   // Search
   searchInput.addEventListener('input', () => {
     clearTimeout(debounceTimer);
@@ -207,10 +388,28 @@ function bindEvents() {
         closeModal();
       } else if (!deleteOverlay.classList.contains('hidden')) {
         closeDeleteModal();
+      } else if (!trashOverlay.classList.contains('hidden')) {
+        closeTrashModal();
+      } else if (!settingsOverlay.classList.contains('hidden')) {
+        closeSettingsModal();
       } else if (!passphraseOverlay.classList.contains('hidden')) {
         closePassphraseModal();
+      } else if (!recoveryOverlay.classList.contains('hidden')) {
+        closeRecoveryModal();
+      } else if (!passkeyOverlay.classList.contains('hidden')) {
+        closePasskeyModal();
+      } else if (!attemptsOverlay.classList.contains('hidden')) {
+        attemptsOverlay.classList.add('hidden');
+      } else if (!changeOverlay.classList.contains('hidden')) {
+        closeChangePicker();
       } else if (!exportOverlay.classList.contains('hidden')) {
-        exportOverlay.classList.add('hidden');
+        closeExportModal();
+      } else if (!mergeOverlay.classList.contains('hidden')) {
+        closeMergeModal();
+      } else if (!bulkEditOverlay.classList.contains('hidden')) {
+        closeBulkEditModal();
+      } else if (selectedIds.size > 0) {
+        clearSelection();
       } else if (currentSearch) {
         searchInput.value = '';
         currentSearch = '';
@@ -236,6 +435,19 @@ function bindEvents() {
     renderList();
   });
 
+  // Category / tag filters
+  categoryFilter.addEventListener('change', () => {
+    currentCategory = categoryFilter.value;
+    categoryFilter.classList.toggle('active', !!currentCategory);
+    renderList();
+  });
+
+  tagFilter.addEventListener('change', () => {
+    currentTag = tagFilter.value;
+    tagFilter.classList.toggle('active', !!currentTag);
+    renderList();
+  });
+
   // Add button
   addBtn.addEventListener('click', () => openModal());
 
@@ -246,6 +458,15 @@ function bindEvents() {
     if (e.target === modalOverlay) closeModal();
   });
 
+  bindIntervalToCategory(
+    document.getElementById('form-category'),
+    document.getElementById('form-interval')
+  );
+
+  document.getElementById('form-exempt').addEventListener('change', (e) => {
+    document.getElementById('form-exempt-reason').classList.toggle('hidden', !e.target.checked);
+  });
+
   // Form submit
   accountForm.addEventListener('submit', async (e) => {
     e.preventDefault();
@@ -258,14 +479,161 @@ function bindEvents() {
     if (e.target === deleteOverlay) closeDeleteModal();
   });
   deleteConfirm.addEventListener('click', async () => {
-    if (deleteTargetId !== null) {
-      await deleteAccount(deleteTargetId);
-      deleteTargetId = null;
-      closeDeleteModal();
+    const ids = deleteTargetIds;
+    const mode = deleteMode;
+    if (ids.length === 0) return;
+    closeDeleteModal();
+
+    if (mode === 'purge') {
+      await purgeAccounts(ids);
+      renderTrash();
+      showToast(`Permanently deleted ${ids.length} account${ids.length !== 1 ? 's' : ''}`);
+      return;
+    }
+
+    await deleteAccounts(ids);
+    loadAccounts();
+    showToast(`Moved ${ids.length} account${ids.length !== 1 ? 's' : ''} to trash`, false, {
+      label: 'Undo',
+      run: async () => {
+        await restoreAccounts(ids);
+        loadAccounts();
+      }
+    });
+  });
+
+  // Settings
+  menuSettings.addEventListener('click', () => {
+    menuDropdown.classList.add('hidden');
+    openSettingsModal();
+  });
+
+  document.getElementById('settings-close').addEventListener('click', closeSettingsModal);
+  document.getElementById('settings-cancel').addEventListener('click', closeSettingsModal);
+  settingsOverlay.addEventListener('click', (e) => {
+    if (e.target === settingsOverlay) closeSettingsModal();
+  });
+
+  settingsProfile.addEventListener('change', () => {
+    const profile = INTERVAL_PROFILES[settingsProfile.value];
+    if (profile) fillIntervalInputs(profile.intervals);
+  });
+
+  settingsIntervals.addEventListener('input', () => {
+    settingsProfile.value = matchingProfile(readIntervalInputs());
+  });
+
+  document.getElementById('notify-digest').addEventListener('change', updateNotificationInputs);
+  document.getElementById('notify-quiet').addEventListener('change', updateNotificationInputs);
+  document.getElementById('detect-reset').addEventListener('click', () => {
+    renderDetectionRules(normalizeDetectionRules());
+  });
+
+  settingsForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    await saveSettings();
+  });
+
+  categoryAddForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const nameInput = document.getElementById('category-add-name');
+    try {
+      await createCategory(nameInput.value, document.getElementById('category-add-color').value);
+      nameInput.value = '';
+      afterCategoryChange();
+    } catch (err) {
+      showToast(categoryErrorMessage(err), true);
+    }
+  });
+
+  categoryList.addEventListener('change', async (e) => {
+    const action = e.target.dataset.categoryAction;
+    if (action !== 'rename' && action !== 'color') return;
+    const id = e.target.closest('.category-row').dataset.id;
+    try {
+      await updateCategory(id, action === 'rename' ? { name: e.target.value } : { color: e.target.value });
+    } catch (err) {
+      showToast(categoryErrorMessage(err), true);
+    }
+    afterCategoryChange();
+  });
+
+  categoryList.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-category-action]');
+    if (!btn) return;
+    const row = btn.closest('.category-row');
+    switch (btn.dataset.categoryAction) {
+      case 'delete':
+        showCategoryReassign(row);
+        break;
+      case 'cancel':
+        renderCategoryList();
+        break;
+      case 'confirm-delete': {
+        try {
+          const moved = await deleteCategory(row.dataset.id, row.querySelector('select').value);
+          showToast(`Category deleted${moved > 0 ? ` — ${moved} account${moved !== 1 ? 's' : ''} moved` : ''}`);
+        } catch (err) {
+          showToast(categoryErrorMessage(err), true);
+        }
+        afterCategoryChange();
+        break;
+      }
+    }
+  });
+
+  // Trash
+  menuTrash.addEventListener('click', () => {
+    menuDropdown.classList.add('hidden');
+    openTrashModal();
+  });
+
+  document.getElementById('trash-close').addEventListener('click', closeTrashModal);
+  trashOverlay.addEventListener('click', (e) => {
+    if (e.target === trashOverlay) closeTrashModal();
+  });
+
+  trashList.addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-trash-action]');
+    if (!btn) return;
+    const id = parseInt(btn.dataset.id, 10);
+    if (btn.dataset.trashAction === 'restore') {
+      await restoreAccounts([id]);
+      renderTrash();
       loadAccounts();
+      showToast('Account restored');
+    } else {
+      const account = getTrashedAccounts().find(a => a.id === id);
+      openPurgeConfirm([id], `Permanently delete "${account?.service_name || 'this account'}" and its password history? This cannot be undone.`);
     }
   });
 
+  trashEmptyBtn.addEventListener('click', () => {
+    const ids = getTrashedAccounts().map(a => a.id);
+    if (ids.length === 0) return;
+    openPurgeConfirm(ids, `Permanently delete ${ids.length} account${ids.length !== 1 ? 's' : ''} in the trash? This cannot be undone.`);
+  });
+
+  // Bulk actions
+  bulkSelectAll.addEventListener('click', () => {
+    getVisibleAccounts().forEach(a => selectedIds.add(a.id));
+    renderList();
+  });
+
+  bulkBar.querySelectorAll('[data-bulk]').forEach(btn => {
+    btn.addEventListener('click', () => handleBulkAction(btn.dataset.bulk));
+  });
+
+  bulkEditCancel.addEventListener('click', closeBulkEditModal);
+  bulkEditOverlay.addEventListener('click', (e) => {
+    if (e.target === bulkEditOverlay) closeBulkEditModal();
+  });
+
+  bulkEditForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    await applyBulkEdit();
+  });
+
   // Alert banner dismiss
   alertDismissBtn.addEventListener('click', () => {
     alertDismissed = true;
@@ -286,28 +654,51 @@ function bindEvents() {
     e.stopPropagation();
   });
 
-  // Export backup — show warning first
+  // Full-page dashboard
+  menuDashboard.addEventListener('click', () => {
+    menuDropdown.classList.add('hidden');
+    const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+    browserAPI.runtime.openOptionsPage();
+    window.close();
+  });
+
+  // Export — choose a format; the modal also carries the plaintext warning
   menuExport.addEventListener('click', () => {
     menuDropdown.classList.add('hidden');
-    const data = exportAllAccounts();
-    if (data.count === 0) {
+    if (allAccounts.length === 0) {
       showToast('No accounts to export', true);
       return;
     }
-    exportOverlay.classList.remove('hidden');
+    openExportModal();
   });
 
-  exportCancel.addEventListener('click', () => {
-    exportOverlay.classList.add('hidden');
-  });
+  exportCancel.addEventListener('click', closeExportModal);
 
   exportOverlay.addEventListener('click', (e) => {
-    if (e.target === exportOverlay) exportOverlay.classList.add('hidden');
+    if (e.target === exportOverlay) closeExportModal();
+  });
+
+  document.querySelectorAll('input[name="export-format"]').forEach(radio => {
+    radio.addEventListener('change', updateExportOptions);
+  });
+
+  exportPassphrase.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') exportConfirmBtn.click();
   });
 
-  exportConfirmBtn.addEventListener('click', () => {
-    exportOverlay.classList.add('hidden');
-    handleExport();
+  exportConfirmBtn.addEventListener('click', async () => {
+    const format = document.querySelector('input[name="export-format"]:checked').value;
+    if (format === 'encrypted') {
+      exportConfirmBtn.disabled = true;
+      const ok = await handleEncryptedExport(exportPassphrase.value);
+      exportConfirmBtn.disabled = false;
+      if (!ok) return;
+    } else if (format === 'json') {
+      handleExport();
+    } else {
+      handleReportExport(format);
+    }
+    closeExportModal();
   });
 
   // Import backup
@@ -328,19 +719,58 @@ function bindEvents() {
     if (e.target === importOverlay) closeImportModal();
   });
 
+  importPassphrase.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') importConfirmBtn.click();
+  });
+
   importConfirmBtn.addEventListener('click', async () => {
     if (!pendingImportData) return;
+    if (pendingImportData.encrypted) {
+      importConfirmBtn.disabled = true;
+      const ok = await unlockEncryptedImport(importPassphrase.value);
+      importConfirmBtn.disabled = false;
+      if (!ok) return;
+    }
     const mode = document.querySelector('input[name="import-mode"]:checked').value;
+    if (mode === 'smart') {
+      const plan = planSmartMerge(pendingImportData.accounts);
+      closeImportModal();
+      if (plan.updates.length > 0) {
+        openMergeModal(plan);
+      } else {
+        showImportResult(await applySmartMerge(plan));
+      }
+      return;
+    }
     const result = await importAccounts(pendingImportData.accounts, mode);
     closeImportModal();
-    loadAccounts();
-    showToast(`Imported ${result.added} account${result.added !== 1 ? 's' : ''}${result.skipped > 0 ? `, ${result.skipped} skipped` : ''}`);
+    showImportResult(result);
+  });
+
+  document.getElementById('merge-close').addEventListener('click', closeMergeModal);
+  document.getElementById('merge-cancel').addEventListener('click', closeMergeModal);
+  mergeOverlay.addEventListener('click', (e) => {
+    if (e.target === mergeOverlay) closeMergeModal();
+  });
+
+  mergeList.addEventListener('change', (e) => {
+    const input = e.target.closest('input[data-conflict]');
+    if (!input || !pendingMergePlan) return;
+    const [row, index] = input.dataset.conflict.split(':').map(Number);
+    pendingMergePlan.updates[row].conflicts[index].useIncoming = input.value === 'incoming';
+  });
+
+  document.getElementById('merge-apply').addEventListener('click', async () => {
+    if (!pendingMergePlan) return;
+    const result = await applySmartMerge(pendingMergePlan);
+    closeMergeModal();
+    showImportResult(result);
   });
 
   // Lock
   menuLock.addEventListener('click', () => {
     menuDropdown.classList.add('hidden');
-    handleLock();
+    lockAllPages();
   });
 
   // Change passphrase
@@ -349,6 +779,59 @@ function bindEvents() {
     openPassphraseModal();
   });
 
+  // Recovery key
+  menuRecovery.addEventListener('click', () => {
+    menuDropdown.classList.add('hidden');
+    openRecoveryModal();
+  });
+
+  recoveryCreate.addEventListener('click', handleCreateRecoveryKey);
+  recoveryRemove.addEventListener('click', handleRemoveRecoveryKey);
+  recoveryClose.addEventListener('click', closeRecoveryModal);
+  recoveryOverlay.addEventListener('click', (e) => {
+    if (e.target === recoveryOverlay) closeRecoveryModal();
+  });
+
+  document.getElementById('recovery-download').addEventListener('click', () => {
+    if (!shownRecoveryKey) return;
+    downloadFile(recoveryKitHTML(shownRecoveryKey), 'able-account-recovery-kit.html', 'text/html');
+  });
+
+  // Fingerprint & security keys
+  menuPasskeys.addEventListener('click', () => {
+    menuDropdown.classList.add('hidden');
+    openPasskeyModal();
+  });
+
+  passkeyAdd.addEventListener('click', handleAddPasskey);
+  document.getElementById('passkey-close').addEventListener('click', closePasskeyModal);
+  passkeyOverlay.addEventListener('click', (e) => {
+    if (e.target === passkeyOverlay) closePasskeyModal();
+  });
+
+  passkeyList.addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-passkey-remove]');
+    if (!btn) return;
+    await removePasskey(btn.dataset.passkeyRemove);
+    renderPasskeys();
+    showToast('Key removed');
+  });
+
+  // Failed unlock log
+  document.getElementById('attempts-close').addEventListener('click', () => {
+    attemptsOverlay.classList.add('hidden');
+  });
+  attemptsOverlay.addEventListener('click', (e) => {
+    if (e.target === attemptsOverlay) attemptsOverlay.classList.add('hidden');
+  });
+
+  // Detected password changes that fit several accounts
+  document.getElementById('change-skip').addEventListener('click', () => {
+    pendingChanges.shift();
+    showNextChange();
+  });
+  document.getElementById('change-confirm').addEventListener('click', pickChangedAccount);
+
   passCancel.addEventListener('click', closePassphraseModal);
   passphraseOverlay.addEventListener('click', (e) => {
     if (e.target === passphraseOverlay) closePassphraseModal();
@@ -386,13 +869,26 @@ function bindEvents() {
 
 // --- Lock / Passphrase ---
 
+// Lock button and inactivity also end the session and lock the dashboard
+function lockAllPages() {
+  lockEverywhere();
+  handleLock();
+}
+
 function handleLock() {
+  stopAutoLock();
+  closeRecoveryModal();
+  closePasskeyModal();
+  attemptsOverlay.classList.add('hidden');
+  closeChangePicker();
   lockDB();
   appEl.classList.add('hidden');
   lockScreen.classList.remove('hidden');
   lockPassphrase.value = '';
   lockConfirm.value = '';
   lockError.classList.add('hidden');
+  selectedIds.clear();
+  bulkBar.classList.add('hidden');
   dbState = 'encrypted';
   configureLockScreen('encrypted');
   lockPassphrase.focus();
@@ -401,7 +897,11 @@ function handleLock() {
   alertDismissed = false;
 }
 
-function openPassphraseModal() {
+function openPassphraseModal({ afterRecovery = false } = {}) {
+  document.getElementById('pass-title').textContent = afterRecovery ? 'Choose a New Passphrase' : 'Change Passphrase';
+  document.getElementById('pass-intro').textContent = afterRecovery
+    ? 'Your recovery key unlocked your data. Set a new passphrase to use from now on.'
+    : 'Enter a new passphrase. Your recovery key, if you made one, keeps working.';
   passphraseForm.reset();
   passError.classList.add('hidden');
   passphraseOverlay.classList.remove('hidden');
@@ -413,31 +913,184 @@ function closePassphraseModal() {
   passphraseForm.reset();
 }
 
+// --- Recovery Key ---
+
+function openRecoveryModal({ afterSetup = false } = {}) {
+  const info = getRecoveryKeyInfo();
+  shownRecoveryKey = null;
+  recoveryKeyEl.textContent = '';
+  recoveryResult.classList.add('hidden');
+  if (afterSetup) {
+    recoveryStatus.textContent = 'Your data is encrypted. Create a recovery key now — it\'s the only way back in if you forget your passphrase.';
+  } else if (info) {
+    recoveryStatus.textContent = `You created a recovery key on ${formatDate(info.created_at)}. Creating a new one stops the old one from working.`;
+  } else {
+    recoveryStatus.textContent = 'A recovery key unlocks your data if you forget your passphrase. Without one, a forgotten passphrase means your data is lost.';
+  }
+  recoveryCreate.textContent = info ? 'Replace Key' : 'Create Key';
+  recoveryCreate.classList.remove('hidden');
+  recoveryRemove.classList.toggle('hidden', !info);
+  recoveryRemove.textContent = 'Remove';
+  delete recoveryRemove.dataset.confirm;
+  recoveryClose.textContent = afterSetup ? 'Skip' : 'Close';
+  recoveryOverlay.classList.remove('hidden');
+}
+
+function closeRecoveryModal() {
+  recoveryOverlay.classList.add('hidden');
+  shownRecoveryKey = null;
+  recoveryKeyEl.textContent = '';
+}
+
+async function handleCreateRecoveryKey() {
+  shownRecoveryKey = await createRecoveryKey();
+  recoveryKeyEl.textContent = shownRecoveryKey;
+  recoveryStatus.textContent = 'Keep this key somewhere safe and offline — download and print the kit, or write it down. It won\'t be shown again.';
+  recoveryResult.classList.remove('hidden');
+  recoveryCreate.classList.add('hidden');
+  recoveryRemove.classList.add('hidden');
+  recoveryClose.textContent = 'Done';
+}
+
+// Two clicks: the first asks for confirmation
+async function handleRemoveRecoveryKey() {
+  if (!recoveryRemove.dataset.confirm) {
+    recoveryRemove.dataset.confirm = '1';
+    recoveryRemove.textContent = 'Really remove?';
+    return;
+  }
+  await removeRecoveryKey();
+  closeRecoveryModal();
+  showToast('Recovery key removed');
+}
+
+// --- Fingerprint & Security Keys ---
+
+function openPasskeyModal() {
+  passkeyError.classList.add('hidden');
+  passkeyAdd.disabled = !passkeySupported();
+  renderPasskeys();
+  passkeyOverlay.classList.remove('hidden');
+}
+
+function closePasskeyModal() {
+  passkeyOverlay.classList.add('hidden');
+}
+
+function renderPasskeys() {
+  const passkeys = getPasskeys();
+  document.getElementById('passkey-status').textContent = !passkeySupported()
+    ? passkeyErrorText('PASSKEY_UNAVAILABLE')
+    : passkeys.length
+      ? 'Any of these unlocks your data. Your passphrase keeps working too.'
+      : 'Unlock with a fingerprint, face or security key instead of typing your passphrase. Your passphrase keeps working too.';
+  passkeyList.innerHTML = passkeys.map((p, i) => `
+    <li>
+      <span>Key ${i + 1} · added ${escapeHtml(formatDate(p.created_at))}</span>
+      <button class="trash-btn trash-btn-red" data-passkey-remove="${escapeHtml(p.id)}">Remove</button>
+    </li>
+  `).join('');
+}
+
+async function handleAddPasskey() {
+  passkeyError.classList.add('hidden');
+  passkeyAdd.disabled = true;
+  try {
+    await addPasskey();
+    renderPasskeys();
+    showToast('Key added — use it on the lock screen next time');
+  } catch (err) {
+    passkeyError.textContent = passkeyErrorText(err.message) || 'Couldn\'t add the key. Try again.';
+    passkeyError.classList.remove('hidden');
+    if (!passkeyErrorText(err.message)) console.error('Add passkey error:', err);
+  } finally {
+    passkeyAdd.disabled = false;
+  }
+}
+
+// --- Detected Password Changes ---
+// A change spotted on a site with several matching accounts (see
+// takeUnresolvedChanges) is only applied once the user says which it was.
+
+function openChangePicker(changes) {
+  pendingChanges = changes;
+  showNextChange();
+}
+
+function closeChangePicker() {
+  pendingChanges = [];
+  changeOverlay.classList.add('hidden');
+}
+
+function showNextChange() {
+  while (pendingChanges.length) {
+    const change = pendingChanges[0];
+    const accounts = change.candidates.map(id => getAccount(id)).filter(a => a && !a.deleted_at);
+    if (accounts.length) {
+      document.getElementById('change-summary').textContent =
+        `A password was changed on ${change.domain}, where you have ${accounts.length} accounts. Which one was it?`;
+      document.getElementById('change-list').innerHTML = accounts.map((a, i) => `
+        <li>
+          <label>
+            <input type="radio" name="change-account" value="${a.id}"${i === 0 ? ' checked' : ''}>
+            ${escapeHtml(a.service_name)}${a.username ? ` — ${escapeHtml(a.username)}` : ''}
+          </label>
+        </li>`).join('');
+      changeOverlay.classList.remove('hidden');
+      return;
+    }
+    pendingChanges.shift();
+  }
+  changeOverlay.classList.add('hidden');
+}
+
+async function pickChangedAccount() {
+  const picked = changeOverlay.querySelector('input[name="change-account"]:checked');
+  const change = pendingChanges.shift();
+  if (change && picked) {
+    try {
+      if (await resolveDetectedChange(change, parseInt(picked.value, 10))) {
+        loadAccounts();
+        showToast('Account marked refreshed');
+      }
+    } catch (err) {
+      showToast('Could not update the account', true);
+    }
+  }
+  showNextChange();
+}
+
+// --- Failed Unlocks ---
+
+function openAttemptsModal(failures) {
+  const times = failures.length === 1 ? 'once' : `${failures.length} times`;
+  document.getElementById('attempts-summary').textContent =
+    `Unlocking failed ${times} since you last unlocked.`;
+  const list = document.getElementById('attempts-list');
+  list.innerHTML = '';
+  for (const attempt of failures.slice().reverse()) {
+    const li = document.createElement('li');
+    li.textContent = describeFailedUnlock(attempt);
+    list.appendChild(li);
+  }
+  attemptsOverlay.classList.remove('hidden');
+}
+
 // --- Data ---
 
 function loadAccounts() {
   allAccounts = getAllAccounts();
+  populateGroupSelects();
+  // Drop selections for accounts that no longer exist
+  const ids = new Set(allAccounts.map(a => a.id));
+  for (const id of selectedIds) {
+    if (!ids.has(id)) selectedIds.delete(id);
+  }
   countBadge.textContent = `${allAccounts.length} account${allAccounts.length !== 1 ? 's' : ''}`;
   renderList();
-  updateOverdueBadge();
   showOverdueAlert();
 }
 
-function updateOverdueBadge() {
-  const now = new Date();
-  const overdueAccounts = allAccounts.filter(a => calcStatus(a, now) === 'overdue');
-  try {
-    const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
-    browserAPI.runtime.sendMessage({
-      type: 'updateOverdueCount',
-      count: overdueAccounts.length,
-      names: overdueAccounts.map(a => a.service_name)
-    });
-  } catch (e) {
-    // Ignore if not running as extension
-  }
-}
-
 // --- Auto-Import Detected Accounts ---
 
 async function importPendingAccounts() {
@@ -463,10 +1116,9 @@ async function importPendingAccounts() {
         url: account.url,
         username: account.username || '',
         category: 'general',
-        refresh_interval_days: 90,
         last_password_change: account.detected_at || new Date().toISOString(),
         notes: 'Auto-detected signup'
-      });
+      }, 'detector');
     }
 
     // Clear pending list
@@ -551,16 +1203,48 @@ function playAlertSound() {
 
 // --- Rendering ---
 
-function renderList() {
+// Category and tag selects follow the vault's categories and tags in use
+function populateGroupSelects() {
+  const categories = refreshCategoryIndex();
+  const options = categoryOptionsHtml(categories);
+
+  const formCategory = document.getElementById('form-category');
+  const formValue = formCategory.value;
+  formCategory.innerHTML = options;
+  formCategory.value = formValue || 'general';
+
+  document.getElementById('bulk-category').innerHTML = '<option value="">Keep current</option>' + options;
+
+  if (currentCategory && !categoryIndex.has(currentCategory)) currentCategory = '';
+  categoryFilter.innerHTML = '<option value="">All categories</option>' + options;
+  categoryFilter.value = currentCategory;
+  categoryFilter.classList.toggle('active', !!currentCategory);
+
+  const tags = getTags();
+  if (currentTag && !tags.some(t => t.name === currentTag)) currentTag = '';
+  tagFilter.innerHTML = '<option value="">All tags</option>' + tagOptionsHtml(tags);
+  tagFilter.value = currentTag;
+  tagFilter.classList.toggle('active', !!currentTag);
+  tagFilter.disabled = tags.length === 0;
+}
+
+function getVisibleAccounts() {
   let filtered = applySearch(allAccounts, currentSearch);
   filtered = applyFilter(filtered, currentFilter);
-  filtered = applySort(filtered, currentSort);
+  if (currentCategory) filtered = filtered.filter(a => a.category === currentCategory);
+  if (currentTag) filtered = filtered.filter(a => a.tags.includes(currentTag));
+  return applySort(filtered, currentSort);
+}
+
+function renderList() {
+  const filtered = getVisibleAccounts();
+  renderBulkBar();
 
   const total = allAccounts.length;
   const showing = filtered.length;
 
   // Filter info
-  if (currentSearch || currentFilter !== 'all') {
+  if (currentSearch || currentFilter !== 'all' || currentCategory || currentTag) {
     filterInfo.textContent = `Showing ${showing} of ${total} accounts`;
     filterInfo.classList.remove('hidden');
   } else {
@@ -587,6 +1271,20 @@ function renderList() {
   emptyState.classList.add('hidden');
   accountList.classList.remove('hidden');
   accountList.innerHTML = filtered.map(account => renderRow(account)).join('');
+  accountList.classList.toggle('selecting', selectedIds.size > 0);
+
+  // Bind row selection
+  accountList.querySelectorAll('.row-select').forEach(box => {
+    box.addEventListener('click', (e) => e.stopPropagation());
+    box.addEventListener('change', () => {
+      const id = parseInt(box.dataset.id, 10);
+      if (box.checked) selectedIds.add(id);
+      else selectedIds.delete(id);
+      box.closest('.account-row').classList.toggle('selected', box.checked);
+      accountList.classList.toggle('selecting', selectedIds.size > 0);
+      renderBulkBar();
+    });
+  });
 
   // Bind row actions
   accountList.querySelectorAll('.row-action-btn').forEach(btn => {
@@ -611,32 +1309,16 @@ function renderList() {
 function renderRow(account) {
   const now = new Date();
   const status = calcStatus(account, now);
-  const days = daysSinceChange(account);
-  const daysLeft = daysUntilDue(account);
-
-  let ageText;
-  if (days === Infinity) {
-    ageText = 'Never changed';
-  } else if (days === 0) {
-    ageText = 'Changed today';
-  } else if (days === 1) {
-    ageText = 'Changed 1 day ago';
-  } else {
-    ageText = `Changed ${days} days ago`;
-  }
-
-  if (status === 'overdue' && daysLeft < 0) {
-    ageText += ` (${Math.abs(daysLeft)}d overdue)`;
-  } else if (status === 'due_soon') {
-    ageText += ` (due in ${daysLeft}d)`;
-  }
+  const ageText = describeAge(account, status);
 
   const serviceName = highlightMatch(escapeHtml(account.service_name), currentSearch);
   const url = highlightMatch(escapeHtml(account.url || ''), currentSearch);
   const username = highlightMatch(escapeHtml(account.username || ''), currentSearch);
+  const selected = selectedIds.has(account.id);
 
   return `
-    <div class="account-row" data-id="${account.id}">
+    <div class="account-row${selected ? ' selected' : ''}" data-id="${account.id}">
+      <input type="checkbox" class="row-select" data-id="${account.id}" title="Select" ${selected ? 'checked' : ''}>
       <div class="status-dot ${status}" title="${statusLabel(status)}"></div>
       <div class="row-info">
         <div class="row-primary">
@@ -647,11 +1329,18 @@ function renderRow(account) {
           ${account.username ? `<span class="row-username">${username}</span>` : ''}
           <span class="row-age ${status}">${ageText}</span>
         </div>
+        <div class="row-meta">
+          <span class="cat-pill" style="--cat-color: ${escapeHtml(categoryColor(account.category))}">${escapeHtml(categoryLabel(account.category))}</span>
+          ${tagChipsHtml(account.tags, currentSearch)}
+        </div>
       </div>
       <div class="row-actions">
         <button class="row-action-btn refresh-btn" data-id="${account.id}" data-action="refresh" title="Mark password as refreshed">
           <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="23 4 23 10 17 10"/><path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/></svg>
         </button>
+        <button class="row-action-btn" data-id="${account.id}" data-action="rotate" title="Rotate now — open the change-password page">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 2l-2 2m-7.61 7.61a5.5 5.5 0 1 1-7.778 7.778 5.5 5.5 0 0 1 7.777-7.777zm0 0L15.5 7.5m0 0l3 3L22 7l-3-3m-3.5 3.5L19 4"/></svg>
+        </button>
         <button class="row-action-btn" data-id="${account.id}" data-action="open" title="Open site">
           <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"/><polyline points="15 3 21 3 21 9"/><line x1="10" y1="14" x2="21" y2="3"/></svg>
         </button>
@@ -663,55 +1352,6 @@ function renderRow(account) {
   `;
 }
 
-// --- Search, Filter, Sort ---
-
-function applySearch(accounts, query) {
-  if (!query) return accounts;
-  const q = query.toLowerCase();
-  return accounts.filter(a =>
-    (a.service_name || '').toLowerCase().includes(q) ||
-    (a.url || '').toLowerCase().includes(q) ||
-    (a.username || '').toLowerCase().includes(q)
-  );
-}
-
-function applyFilter(accounts, filter) {
-  if (filter === 'all') return accounts;
-  const now = new Date();
-  return accounts.filter(a => calcStatus(a, now) === filter);
-}
-
-function applySort(accounts, sort) {
-  const sorted = [...accounts];
-  switch (sort) {
-    case 'name_asc':
-      sorted.sort((a, b) => (a.service_name || '').localeCompare(b.service_name || ''));
-      break;
-    case 'name_desc':
-      sorted.sort((a, b) => (b.service_name || '').localeCompare(a.service_name || ''));
-      break;
-    case 'urgency':
-      sorted.sort((a, b) => daysUntilDue(a) - daysUntilDue(b));
-      break;
-    case 'oldest_change':
-      sorted.sort((a, b) => daysSinceChange(b) - daysSinceChange(a));
-      break;
-    case 'date_added':
-      sorted.sort((a, b) => (b.date_added || '').localeCompare(a.date_added || ''));
-      break;
-  }
-  return sorted;
-}
-
-// --- Highlight ---
-
-function highlightMatch(text, query) {
-  if (!query || !text) return text;
-  const escaped = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  const regex = new RegExp(`(${escaped})`, 'gi');
-  return text.replace(regex, '<mark>$1</mark>');
-}
-
 // --- Row Actions ---
 
 async function handleRowAction(id, action) {
@@ -721,30 +1361,18 @@ async function handleRowAction(id, action) {
       loadAccounts();
       break;
     case 'open': {
+      const url = accountSiteUrl(allAccounts.find(a => a.id === id));
+      if (url) window.open(url, '_blank');
+      break;
+    }
+    case 'rotate': {
       const account = allAccounts.find(a => a.id === id);
-      if (account && account.url) {
-        let url = account.url.trim();
-        if (!url.startsWith('http://') && !url.startsWith('https://')) {
-          url = 'https://' + url;
-        }
-        // Only allow http/https URLs — block javascript:, data:, etc.
-        try {
-          const parsed = new URL(url);
-          if (parsed.protocol === 'https:' || parsed.protocol === 'http:') {
-            window.open(url, '_blank');
-          }
-        } catch (e) {
-          // Invalid URL — ignore
-        }
-      }
+      if (!(await startRotation(account))) showToast('Add a URL to this account first', true);
       break;
     }
     case 'delete':
-      deleteTargetId = id;
       const account = allAccounts.find(a => a.id === id);
-      document.getElementById('delete-message').textContent =
-        `Remove "${account?.service_name || 'this account'}" from tracking?`;
-      deleteOverlay.classList.remove('hidden');
+      openDeleteConfirm([id], `Move "${account?.service_name || 'this account'}" to the trash?`);
       break;
   }
 }
@@ -754,6 +1382,11 @@ async function handleRowAction(id, action) {
 function openModal(account = null) {
   accountForm.reset();
   document.getElementById('form-id').value = '';
+  document.getElementById('form-change-note-label').classList.toggle('hidden', !account);
+  document.getElementById('form-change-note').classList.toggle('hidden', !account);
+  document.getElementById('form-lead').placeholder = `Default (${getDueSoonDays()})`;
+  document.getElementById('form-exempt-reason').classList.toggle('hidden', !account?.exempt);
+  renderHistory(account);
 
   if (account) {
     modalTitle.textContent = 'Edit Account';
@@ -762,6 +1395,14 @@ function openModal(account = null) {
     document.getElementById('form-url').value = account.url || '';
     document.getElementById('form-username').value = account.username || '';
     document.getElementById('form-category').value = account.category || 'general';
+    document.getElementById('form-tags').value = account.tags.join(', ');
+    document.getElementById('form-lead').value = account.reminder_lead_days ?? '';
+    if (account.snoozed_until) {
+      document.getElementById('form-snooze').value = account.snoozed_until.split('T')[0];
+      document.getElementById('form-snooze-reason').value = account.snooze_reason || '';
+    }
+    document.getElementById('form-exempt').checked = !!account.exempt;
+    document.getElementById('form-exempt-reason').value = account.exempt_reason || '';
     document.getElementById('form-interval').value = account.refresh_interval_days || 90;
     if (account.last_password_change) {
       document.getElementById('form-lastchange').value = account.last_password_change.split('T')[0];
@@ -769,6 +1410,8 @@ function openModal(account = null) {
     document.getElementById('form-notes').value = account.notes || '';
   } else {
     modalTitle.textContent = 'Add Account';
+    document.getElementById('form-category').value = 'general';
+    document.getElementById('form-interval').value = defaultIntervalFor('general');
     document.getElementById('form-lastchange').value = new Date().toISOString().split('T')[0];
   }
 
@@ -780,9 +1423,419 @@ function closeModal() {
   modalOverlay.classList.add('hidden');
 }
 
+// Snooze and exemption fields from the account form
+function readHoldFields() {
+  const snoozeVal = document.getElementById('form-snooze').value;
+  const snoozeDate = snoozeVal ? new Date(snoozeVal) : null;
+  const snoozed = snoozeDate && !isNaN(snoozeDate.getTime());
+  const exempt = document.getElementById('form-exempt').checked;
+  return {
+    snoozed_until: snoozed ? snoozeDate.toISOString() : null,
+    snooze_reason: snoozed ? document.getElementById('form-snooze-reason').value.trim() : null,
+    exempt: exempt ? 1 : 0,
+    exempt_reason: exempt ? document.getElementById('form-exempt-reason').value.trim() : null
+  };
+}
+
+// --- Settings ---
+
+function openSettingsModal() {
+  settingsProfile.innerHTML = '<option value="custom">Custom</option>' +
+    Object.entries(INTERVAL_PROFILES)
+      .map(([id, p]) => `<option value="${id}">${escapeHtml(p.label)}</option>`)
+      .join('');
+
+  document.getElementById('settings-due-soon').value = getDueSoonDays();
+  renderCategoryList();
+  renderIntervalInputs(getCategoryIntervals());
+  document.getElementById('settings-apply').checked = false;
+  loadNotificationSettings();
+  loadLockSettings();
+  loadKdfSetting();
+  document.getElementById('settings-cpw').value = formatChangePasswordList(getChangePasswordUrls());
+  loadDetectionRules();
+  settingsOverlay.classList.remove('hidden');
+}
+
+async function loadLockSettings() {
+  const settings = await fetchLockSettings();
+  document.getElementById('lock-after').value = settings.autoLockMinutes;
+  document.getElementById('lock-on-idle').checked = settings.lockOnIdle;
+  // Keep a custom value selectable if it isn't one of the presets
+  const session = document.getElementById('lock-session');
+  if (![...session.options].some(o => o.value === String(settings.sessionMinutes))) {
+    session.add(new Option(`${settings.sessionMinutes} minutes`, settings.sessionMinutes));
+  }
+  session.value = String(settings.sessionMinutes);
+}
+
+async function saveLockSettings() {
+  const settings = await sendToWorker({
+    type: 'setLockSettings',
+    settings: {
+      autoLockMinutes: parseInt(document.getElementById('lock-after').value, 10),
+      lockOnIdle: document.getElementById('lock-on-idle').checked,
+      sessionMinutes: parseInt(document.getElementById('lock-session').value, 10)
+    }
+  });
+  if (settings) startAutoLock(settings.autoLockMinutes, lockAllPages);
+}
+
+// Argon2id needs the WASM bundle; if it fails to load only PBKDF2 is offered
+async function loadKdfSetting() {
+  const select = document.getElementById('security-kdf');
+  const argon2Option = select.querySelector('option[value="argon2id"]');
+  select.value = preferredKdf();
+  argon2Option.disabled = !(await isKdfAvailable('argon2id'));
+  argon2Option.textContent = argon2Option.disabled
+    ? 'Argon2id (not available in this build)'
+    : 'Argon2id (memory-hard)';
+}
+
+// The reminder schedule lives with the service worker, outside the vault
+async function loadNotificationSettings() {
+  try {
+    const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+    const settings = await browserAPI.runtime.sendMessage({ type: 'getNotificationSettings' });
+    if (!settings) return;
+    document.getElementById('notify-digest').value = settings.digest;
+    document.getElementById('notify-day').value = String(settings.digestDay);
+    document.getElementById('notify-time').value = settings.digestTime;
+    document.getElementById('notify-overdue').checked = settings.notifyOverdue;
+    document.getElementById('notify-due-soon').checked = settings.notifyDueSoon;
+    document.getElementById('notify-quiet').checked = settings.quietHours;
+    document.getElementById('notify-quiet-start').value = settings.quietStart;
+    document.getElementById('notify-quiet-end').value = settings.quietEnd;
+    document.getElementById('notify-escalate').value = settings.escalateAfterDays;
+    document.getElementById('notify-names').checked = settings.showNames;
+    updateNotificationInputs();
+  } catch (e) {
+    // Ignore if not running as extension
+  }
+}
+
+function updateNotificationInputs() {
+  const digest = document.getElementById('notify-digest').value;
+  const quiet = document.getElementById('notify-quiet').checked;
+  document.getElementById('notify-day').classList.toggle('hidden', digest !== 'weekly');
+  document.getElementById('notify-time').disabled = digest === 'off';
+  document.getElementById('notify-quiet-start').disabled = !quiet;
+  document.getElementById('notify-quiet-end').disabled = !quiet;
+}
+
+async function saveNotificationSettings() {
+  try {
+    const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+    await browserAPI.runtime.sendMessage({
+      type: 'setNotificationSettings',
+      settings: {
+        digest: document.getElementById('notify-digest').value,
+        digestDay: parseInt(document.getElementById('notify-day').value, 10),
+        digestTime: document.getElementById('notify-time').value,
+        notifyOverdue: document.getElementById('notify-overdue').checked,
+        notifyDueSoon: document.getElementById('notify-due-soon').checked,
+        quietHours: document.getElementById('notify-quiet').checked,
+        quietStart: document.getElementById('notify-quiet-start').value,
+        quietEnd: document.getElementById('notify-quiet-end').value,
+        escalateAfterDays: parseInt(document.getElementById('notify-escalate').value, 10),
+        showNames: document.getElementById('notify-names').checked
+      }
+    });
+  } catch (e) {
+    // Ignore if not running as extension
+  }
+}
+
+// Signup detection overrides are read by content scripts, so they live with
+// the service worker too
+async function loadDetectionRules() {
+  const rules = normalizeDetectionRules(await sendToWorker({ type: 'getDetectionRules' }));
+  renderDetectionRules(rules);
+  document.getElementById('detect-languages').textContent =
+    ['English', ...Object.values(DETECTION_LOCALES).map(l => l.name)].join(', ');
+  document.getElementById('detect-phrases').innerHTML = Object.entries(CUSTOM_PHRASE_LISTS)
+    .map(([list, label]) => `
+      <label for="phrases-${list}">${escapeHtml(label)}</label>
+      <textarea id="phrases-${list}" data-phrases="${list}" rows="2" spellcheck="false">${escapeHtml(rules.phrases[list].join('\n'))}</textarea>
+    `).join('');
+}
+
+function renderDetectionRules(rules) {
+  document.getElementById('detect-threshold').value = rules.threshold;
+  document.getElementById('detect-signals').innerHTML = detectionSignals()
+    .map(signal => `
+      <label for="signal-${signal.id}">${escapeHtml(signal.label)}</label>
+      <input type="number" id="signal-${signal.id}" data-signal="${signal.id}" min="-100" max="100" value="${rules.weights[signal.id]}" required>
+    `).join('');
+}
+
+// Only weights that differ from the defaults are saved, so later default
+// changes still reach the rest
+async function saveDetectionRules() {
+  const weights = {};
+  for (const signal of detectionSignals()) {
+    const weight = parseInt(document.getElementById(`signal-${signal.id}`).value, 10);
+    if (weight !== signal.weight) weights[signal.id] = weight;
+  }
+  const phrases = {};
+  document.querySelectorAll('#detect-phrases textarea[data-phrases]').forEach(textarea => {
+    phrases[textarea.dataset.phrases] = textarea.value.split('\n');
+  });
+  const threshold = parseInt(document.getElementById('detect-threshold').value, 10);
+  await sendToWorker({
+    type: 'setDetectionRules',
+    rules: {
+      threshold: threshold === DEFAULT_DETECTION_THRESHOLD ? null : threshold,
+      weights,
+      phrases: normalizeCustomPhrases(phrases)
+    }
+  });
+}
+
+// One row per category; keeps whatever values are passed in
+function renderIntervalInputs(intervals) {
+  settingsIntervals.innerHTML = [...categoryIndex.values()]
+    .map(c => `
+      <label for="interval-${c.id}">${escapeHtml(c.name)}</label>
+      <input type="number" id="interval-${c.id}" data-category="${c.id}" min="1" max="365" required>
+    `).join('');
+  fillIntervalInputs(intervals);
+  settingsProfile.value = matchingProfile(readIntervalInputs());
+}
+
+function renderCategoryList() {
+  categoryList.innerHTML = [...categoryIndex.values()].map(c => `
+    <div class="category-row" data-id="${escapeHtml(c.id)}">
+      <input type="color" value="${escapeHtml(c.color)}" data-category-action="color" title="Color">
+      <input type="text" value="${escapeHtml(c.name)}" maxlength="50" data-category-action="rename">
+      <span class="category-count" title="Accounts">${countAccountsInCategory(c.id)}</span>
+      ${c.id === 'general' ? '' : '<button type="button" class="category-btn category-btn-red" data-category-action="delete" title="Delete category">&times;</button>'}
+    </div>
+  `).join('');
+}
+
+// Swaps a category row for a "move accounts to" picker before deleting
+function showCategoryReassign(row) {
+  const id = row.dataset.id;
+  const others = [...categoryIndex.values()].filter(c => c.id !== id);
+  row.innerHTML = `
+    <span class="category-reassign">Move ${countAccountsInCategory(id)} to</span>
+    <select data-category-target>${categoryOptionsHtml(others)}</select>
+    <button type="button" class="category-btn category-btn-red" data-category-action="confirm-delete">Delete</button>
+    <button type="button" class="category-btn" data-category-action="cancel">Cancel</button>
+  `;
+  row.querySelector('select').value = 'general';
+}
+
+// Category edits save immediately; keep unsaved interval edits in the form
+function afterCategoryChange() {
+  const intervals = readIntervalInputs();
+  loadAccounts();
+  renderCategoryList();
+  renderIntervalInputs({ ...getCategoryIntervals(), ...intervals });
+}
+
+function categoryErrorMessage(err) {
+  switch (err.message) {
+    case 'CATEGORY_EXISTS': return 'A category with that name already exists';
+    case 'CATEGORY_NAME_REQUIRED': return 'Category name is required';
+    case 'CATEGORY_NOT_FOUND': return 'That category no longer exists';
+    case 'CATEGORY_PROTECTED': return 'The General category cannot be deleted';
+    default: return 'Could not update category';
+  }
+}
+
+function closeSettingsModal() {
+  settingsOverlay.classList.add('hidden');
+}
+
+function fillIntervalInputs(intervals) {
+  settingsIntervals.querySelectorAll('input[data-category]').forEach(input => {
+    input.value = intervals[input.dataset.category] || DEFAULT_REFRESH_INTERVAL;
+  });
+}
+
+function readIntervalInputs() {
+  const intervals = {};
+  settingsIntervals.querySelectorAll('input[data-category]').forEach(input => {
+    const days = parseInt(input.value, 10);
+    if (days >= 1 && days <= 365) intervals[input.dataset.category] = days;
+  });
+  return intervals;
+}
+
+function matchingProfile(intervals) {
+  const categories = Array.from(settingsIntervals.querySelectorAll('input[data-category]'))
+    .map(input => input.dataset.category);
+  for (const [id, profile] of Object.entries(INTERVAL_PROFILES)) {
+    const same = categories.every(c =>
+      (intervals[c] || DEFAULT_REFRESH_INTERVAL) === (profile.intervals[c] || DEFAULT_REFRESH_INTERVAL)
+    );
+    if (same) return id;
+  }
+  return 'custom';
+}
+
+async function saveSettings() {
+  try {
+    // Vault-side values go in one transaction and one save
+    const pages = parseChangePasswordList(document.getElementById('settings-cpw').value);
+    const intervals = readIntervalInputs();
+    const applyToExisting = document.getElementById('settings-apply').checked;
+    const changed = await setSettings({
+      due_soon_days: normalizeLeadDays(document.getElementById('settings-due-soon').value) ?? DEFAULT_DUE_SOON_DAYS,
+      passphrase_kdf: document.getElementById('security-kdf').value,
+      change_password_urls: pages.map,
+      category_intervals: intervals,
+      interval_profile: matchingProfile(intervals)
+    }, { applyIntervals: applyToExisting });
+
+    // The rest lives with the service worker
+    await saveNotificationSettings();
+    // Opting in to names fills them in now rather than at the next save
+    await publishDueSchedule();
+    await saveLockSettings();
+    await saveDetectionRules();
+
+    closeSettingsModal();
+    loadAccounts();
+    const skipped = pages.invalid.length;
+    showToast((applyToExisting
+      ? `Settings saved — ${changed} account${changed !== 1 ? 's' : ''} updated`
+      : 'Settings saved') +
+      (skipped ? ` (skipped ${skipped} change-password line${skipped !== 1 ? 's' : ''})` : ''), skipped > 0);
+  } catch (err) {
+    showToast('Could not save settings', true);
+  }
+}
+
+function renderHistory(account) {
+  const historyEl = document.getElementById('form-history');
+  const listEl = document.getElementById('history-list');
+  if (!account) {
+    historyEl.classList.add('hidden');
+    listEl.innerHTML = '';
+    return;
+  }
+
+  listEl.innerHTML = historyItemsHtml(getPasswordEvents(account.id));
+  historyEl.classList.remove('hidden');
+}
+
+function openDeleteConfirm(ids, message) {
+  deleteTargetIds = ids;
+  deleteMode = 'trash';
+  deleteTitle.textContent = ids.length === 1 ? 'Delete Account?' : 'Delete Accounts?';
+  deleteMessage.textContent = message;
+  deleteConfirm.textContent = 'Delete';
+  deleteOverlay.classList.remove('hidden');
+}
+
+function openPurgeConfirm(ids, message) {
+  deleteTargetIds = ids;
+  deleteMode = 'purge';
+  deleteTitle.textContent = 'Delete Forever?';
+  deleteMessage.textContent = message;
+  deleteConfirm.textContent = 'Delete Forever';
+  deleteOverlay.classList.remove('hidden');
+}
+
 function closeDeleteModal() {
   deleteOverlay.classList.add('hidden');
-  deleteTargetId = null;
+  deleteTargetIds = [];
+}
+
+// --- Trash ---
+
+function openTrashModal() {
+  renderTrash();
+  trashOverlay.classList.remove('hidden');
+}
+
+function closeTrashModal() {
+  trashOverlay.classList.add('hidden');
+}
+
+function renderTrash() {
+  const trashed = getTrashedAccounts();
+  trashEmptyMsg.classList.toggle('hidden', trashed.length > 0);
+  trashEmptyBtn.disabled = trashed.length === 0;
+  trashList.innerHTML = trashed.map(account => `
+    <div class="trash-row">
+      <div class="row-info">
+        <div class="row-primary">
+          <span class="service-name">${escapeHtml(account.service_name)}</span>
+          ${account.url ? `<span class="domain">${escapeHtml(account.url)}</span>` : ''}
+        </div>
+        <div class="row-secondary">
+          <span class="row-age">Deleted ${escapeHtml(formatDate(account.deleted_at))}</span>
+        </div>
+      </div>
+      <button class="trash-btn" data-trash-action="restore" data-id="${account.id}">Restore</button>
+      <button class="trash-btn trash-btn-red" data-trash-action="purge" data-id="${account.id}" title="Delete forever">&times;</button>
+    </div>
+  `).join('');
+}
+
+// --- Bulk Actions ---
+
+function renderBulkBar() {
+  const count = selectedIds.size;
+  bulkBar.classList.toggle('hidden', count === 0);
+  addBtn.classList.toggle('hidden', count > 0);
+  bulkCount.textContent = `${count} selected`;
+}
+
+function clearSelection() {
+  selectedIds.clear();
+  renderList();
+}
+
+async function handleBulkAction(action) {
+  const ids = [...selectedIds];
+  if (ids.length === 0 && action !== 'clear') return;
+  const label = `${ids.length} account${ids.length !== 1 ? 's' : ''}`;
+
+  switch (action) {
+    case 'refresh':
+      await markRefreshedMany(ids);
+      selectedIds.clear();
+      loadAccounts();
+      showToast(`Marked ${label} as refreshed`);
+      break;
+    case 'edit':
+      bulkEditForm.reset();
+      document.getElementById('bulk-edit-title').textContent = `Edit ${label}`;
+      bulkEditOverlay.classList.remove('hidden');
+      document.getElementById('bulk-category').focus();
+      break;
+    case 'delete':
+      openDeleteConfirm(ids, `Move ${label} to the trash?`);
+      break;
+    case 'clear':
+      clearSelection();
+      break;
+  }
+}
+
+async function applyBulkEdit() {
+  const ids = [...selectedIds];
+  const fields = {};
+  const category = document.getElementById('bulk-category').value;
+  const interval = parseInt(document.getElementById('bulk-interval').value, 10);
+  if (category) fields.category = category;
+  if (interval >= 1 && interval <= 365) fields.refresh_interval_days = interval;
+
+  closeBulkEditModal();
+  if (Object.keys(fields).length === 0) return;
+
+  await updateAccounts(ids, fields);
+  loadAccounts();
+  showToast(`Updated ${ids.length} account${ids.length !== 1 ? 's' : ''}`);
+}
+
+function closeBulkEditModal() {
+  bulkEditOverlay.classList.add('hidden');
 }
 
 async function saveAccount() {
@@ -792,7 +1845,9 @@ async function saveAccount() {
     url: document.getElementById('form-url').value.trim(),
     username: document.getElementById('form-username').value.trim(),
     category: document.getElementById('form-category').value,
-    refresh_interval_days: parseInt(document.getElementById('form-interval').value, 10) || 90,
+    tags: normalizeTags(document.getElementById('form-tags').value),
+    refresh_interval_days: parseInt(document.getElementById('form-interval').value, 10) || null,
+    reminder_lead_days: normalizeLeadDays(document.getElementById('form-lead').value),
     last_password_change: (() => {
       const val = document.getElementById('form-lastchange').value;
       if (val) {
@@ -801,13 +1856,24 @@ async function saveAccount() {
       }
       return new Date().toISOString();
     })(),
-    notes: document.getElementById('form-notes').value.trim()
+    notes: document.getElementById('form-notes').value.trim(),
+    ...readHoldFields()
   };
 
   if (!data.service_name) return;
 
   if (id) {
-    await updateAccount(parseInt(id, 10), data);
+    // The date picker drops the time of day — only treat a new day as a rotation
+    const existing = allAccounts.find(a => a.id === parseInt(id, 10));
+    if (existing && (existing.last_password_change || '').split('T')[0] === data.last_password_change.split('T')[0]) {
+      delete data.last_password_change;
+    }
+    // An untouched interval keeps following the category policy
+    if (existing && data.refresh_interval_days === existing.refresh_interval_days) {
+      delete data.refresh_interval_days;
+    }
+    const note = document.getElementById('form-change-note').value.trim();
+    await updateAccount(parseInt(id, 10), data, { source: 'edit', note });
   } else {
     await addAccount(data);
   }
@@ -816,24 +1882,45 @@ async function saveAccount() {
   loadAccounts();
 }
 
-// --- Helpers ---
+// --- Backup & Restore ---
 
-function statusLabel(status) {
-  switch (status) {
-    case 'overdue': return 'Password overdue for refresh';
-    case 'due_soon': return 'Password refresh due soon';
-    case 'good': return 'Password recently changed';
-    default: return '';
-  }
+function openExportModal() {
+  exportPassphrase.value = '';
+  exportError.classList.add('hidden');
+  updateExportOptions();
+  exportOverlay.classList.remove('hidden');
 }
 
-function escapeHtml(str) {
-  const div = document.createElement('div');
-  div.textContent = str;
-  return div.innerHTML;
+function closeExportModal() {
+  exportOverlay.classList.add('hidden');
+  exportPassphrase.value = '';
 }
 
-// --- Backup & Restore ---
+function updateExportOptions() {
+  const format = document.querySelector('input[name="export-format"]:checked').value;
+  exportPassGroup.classList.toggle('hidden', format !== 'encrypted');
+  exportWarning.classList.toggle('hidden', format === 'encrypted');
+  exportError.classList.add('hidden');
+  if (format === 'encrypted') exportPassphrase.focus();
+}
+
+// The backup is locked with the vault passphrase, re-entered here so a
+// walk-up user can't export with someone else's open popup
+async function handleEncryptedExport(passphrase) {
+  if (!passphrase || !(await verifyPassphrase(passphrase))) {
+    exportError.textContent = 'Incorrect passphrase.';
+    exportError.classList.remove('hidden');
+    exportPassphrase.select();
+    return false;
+  }
+
+  const backup = await exportEncryptedBackup(passphrase);
+  const date = new Date().toISOString().split('T')[0];
+  downloadFile(JSON.stringify(backup, null, 2), `able-account-backup-${date}.encrypted.json`, 'application/json');
+
+  showToast(`Exported ${allAccounts.length} account${allAccounts.length !== 1 ? 's' : ''} (encrypted)`);
+  return true;
+}
 
 function handleExport() {
   const data = exportAllAccounts();
@@ -842,24 +1929,41 @@ function handleExport() {
     return;
   }
   const json = JSON.stringify(data, null, 2);
-  const blob = new Blob([json], { type: 'application/json' });
-  const url = URL.createObjectURL(blob);
-
   const date = new Date().toISOString().split('T')[0];
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `able-account-backup-${date}.json`;
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  URL.revokeObjectURL(url);
+  downloadFile(json, `able-account-backup-${date}.json`, 'application/json');
 
   showToast(`Exported ${data.count} account${data.count !== 1 ? 's' : ''}`);
 }
 
+// CSV / printable report of what the list is currently showing
+function handleReportExport(format) {
+  const accounts = getVisibleAccounts();
+  if (accounts.length === 0) {
+    showToast('No accounts match the current view', true);
+    return;
+  }
+
+  const date = new Date().toISOString().split('T')[0];
+  if (format === 'csv') {
+    downloadFile(accountsToCSV(accounts), `able-account-inventory-${date}.csv`, 'text/csv');
+  } else {
+    const scope = [];
+    if (currentSearch) scope.push(`search "${currentSearch}"`);
+    if (currentFilter !== 'all') scope.push(`status ${currentFilter.replace('_', ' ')}`);
+    if (currentCategory) scope.push(`category ${categoryLabel(currentCategory)}`);
+    if (currentTag) scope.push(`tag ${currentTag}`);
+    const html = accountsToHTMLReport(accounts, scope.length ? `Filtered by ${scope.join(', ')}` : '');
+    downloadFile(html, `able-account-report-${date}.html`, 'text/html');
+  }
+
+  showToast(`Exported ${accounts.length} account${accounts.length !== 1 ? 's' : ''}`);
+}
+
 function handleImportFile(file) {
-  if (!file.name.endsWith('.json')) {
-    showToast('Please select a .json backup file', true);
+  const name = file.name.toLowerCase();
+  const isCSV = name.endsWith('.csv');
+  if (!isCSV && !name.endsWith('.json')) {
+    showToast('Please select a .json backup or .csv export', true);
     return;
   }
   if (file.size > 5 * 1024 * 1024) {
@@ -869,14 +1973,23 @@ function handleImportFile(file) {
 
   const reader = new FileReader();
   reader.onload = (e) => {
+    if (isCSV) {
+      handleCSVImport(e.target.result);
+      return;
+    }
     try {
       const data = JSON.parse(e.target.result);
+      if (isEncryptedBackup(data)) {
+        openEncryptedImport(data);
+        return;
+      }
       const error = validateImportData(data);
       if (error) {
         showToast(error, true);
         return;
       }
       pendingImportData = data;
+      importTitle.textContent = 'Import Backup';
       importMessage.textContent = `Found ${data.accounts.length} account${data.accounts.length !== 1 ? 's' : ''} in backup. Choose how to import:`;
       importOverlay.classList.remove('hidden');
     } catch (err) {
@@ -886,23 +1999,181 @@ function handleImportFile(file) {
   reader.readAsText(file);
 }
 
-function closeImportModal() {
-  importOverlay.classList.add('hidden');
-  pendingImportData = null;
+function openEncryptedImport(file) {
+  pendingImportData = { encrypted: file };
+  const date = formatDate(file.exported_at);
+  importTitle.textContent = 'Import Encrypted Backup';
+  importMessage.textContent = `Backup${date ? ` from ${date}` : ''} is encrypted. Enter the passphrase it was exported with, then choose how to import:`;
+  importError.classList.add('hidden');
+  importPassGroup.classList.remove('hidden');
+  importOverlay.classList.remove('hidden');
+  importPassphrase.focus();
+}
+
+// Decrypts the pending backup in place; leaves the modal open on failure
+async function unlockEncryptedImport(passphrase) {
+  const showError = (message) => {
+    importError.textContent = message;
+    importError.classList.remove('hidden');
+    importPassphrase.select();
+  };
+
+  if (!passphrase) {
+    showError('Enter the backup passphrase.');
+    return false;
+  }
+
+  let data;
+  try {
+    data = await decryptBackup(pendingImportData.encrypted, passphrase);
+  } catch (err) {
+    showError(err.message === 'WRONG_PASSPHRASE'
+      ? 'Incorrect passphrase.'
+      : 'This backup was made by a newer version or is damaged.');
+    return false;
+  }
+
+  const error = validateImportData(data);
+  if (error) {
+    showError(error);
+    return false;
+  }
+  pendingImportData = data;
+  return true;
+}
+
+function showImportResult(result) {
+  loadAccounts();
+  const parts = [`Imported ${result.added} account${result.added !== 1 ? 's' : ''}`];
+  if (result.updated > 0) parts.push(`${result.updated} updated`);
+  if (result.skipped > 0) parts.push(`${result.skipped} skipped`);
+  showToast(parts.join(', '), false, {
+    label: 'Undo',
+    run: async () => {
+      await revertImport(result);
+      loadAccounts();
+    }
+  });
+}
+
+// --- Smart Merge Review ---
+
+const MERGE_FIELD_LABELS = {
+  username: 'Username',
+  category: 'Category',
+  refresh_interval_days: 'Refresh interval'
+};
+
+function openMergeModal(plan) {
+  pendingMergePlan = plan;
+  const conflicts = plan.updates.reduce((n, u) => n + u.conflicts.length, 0);
+  const parts = [];
+  if (plan.additions.length > 0) parts.push(`${plan.additions.length} new`);
+  parts.push(`${plan.updates.length} to update`);
+  if (plan.unchanged > 0) parts.push(`${plan.unchanged} unchanged`);
+  mergeSummary.textContent = `${parts.join(', ')}. ` + (conflicts > 0
+    ? `Pick a value for each of the ${conflicts} conflict${conflicts !== 1 ? 's' : ''} below — current values are kept unless you choose the backup.`
+    : 'Newer rotation dates, notes and history from the backup will be merged in.');
+  renderMergeReview(plan);
+  mergeOverlay.classList.remove('hidden');
+}
+
+function closeMergeModal() {
+  mergeOverlay.classList.add('hidden');
+  mergeList.innerHTML = '';
+  pendingMergePlan = null;
 }
 
-function showToast(message, isError = false) {
-  // Remove existing toast
-  const existing = document.querySelector('.toast');
-  if (existing) existing.remove();
+function renderMergeReview(plan) {
+  mergeList.innerHTML = plan.updates.map((u, row) => {
+    const changes = [];
+    if (u.changes.last_password_change) {
+      changes.push(`Last change → ${formatDate(u.changes.last_password_change)}`);
+    }
+    if (u.changes.notes !== undefined) changes.push('Notes merged');
+    if (u.tags.length > 0) changes.push(`Tags added: ${u.tags.join(', ')}`);
+    if (u.history.length > 0) {
+      changes.push(`${u.history.length} history entr${u.history.length !== 1 ? 'ies' : 'y'} added`);
+    }
 
-  const toast = document.createElement('div');
-  toast.className = 'toast' + (isError ? ' toast-error' : '');
-  toast.textContent = message;
-  document.body.appendChild(toast);
+    return `
+      <div class="merge-row">
+        <div class="merge-row-title">${escapeHtml(u.current.service_name)}</div>
+        ${changes.map(c => `<div class="merge-change">${escapeHtml(c)}</div>`).join('')}
+        ${u.conflicts.map((c, index) => `
+          <div class="merge-conflict">
+            <div class="merge-conflict-field">${MERGE_FIELD_LABELS[c.field]}</div>
+            <label class="merge-choice">
+              <input type="radio" name="conflict-${row}-${index}" value="current" data-conflict="${row}:${index}" ${c.useIncoming ? '' : 'checked'}>
+              <span>Keep: ${escapeHtml(mergeValueLabel(c.field, c.current))}</span>
+            </label>
+            <label class="merge-choice">
+              <input type="radio" name="conflict-${row}-${index}" value="incoming" data-conflict="${row}:${index}" ${c.useIncoming ? 'checked' : ''}>
+              <span>Backup: ${escapeHtml(mergeValueLabel(c.field, c.incoming))}</span>
+            </label>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }).join('');
+}
+
+function mergeValueLabel(field, value) {
+  if (value === '' || value === null || value === undefined) return '(empty)';
+  if (field === 'refresh_interval_days') return `${value} days`;
+  if (field === 'category') return categoryLabel(value);
+  return String(value);
+}
 
-  setTimeout(() => {
-    toast.classList.add('toast-out');
-    setTimeout(() => toast.remove(), 200);
-  }, 2500);
+function handleCSVImport(text) {
+  const result = importPasswordManagerCSV(text);
+  if (result.error) {
+    showToast(result.error, true);
+    return;
+  }
+  const error = validateImportAccounts(result.accounts);
+  if (error) {
+    showToast(error, true);
+    return;
+  }
+
+  const count = result.accounts.length;
+  pendingImportData = { accounts: result.accounts };
+  importTitle.textContent = `Import from ${result.format.name}`;
+  importMessage.textContent = `Found ${count} login${count !== 1 ? 's' : ''}` +
+    (result.skipped > 0 ? ` (${result.skipped} other entries skipped)` : '') +
+    '. Passwords in the file were ignored. Review, then choose how to import:';
+  renderImportPreview(result.accounts);
+  importOverlay.classList.remove('hidden');
+}
+
+function renderImportPreview(accounts) {
+  const shown = accounts.slice(0, 100);
+  const more = accounts.length - shown.length;
+  importPreview.innerHTML = `
+    <table class="preview-table">
+      <thead><tr><th>Name</th><th>URL</th><th>Username</th></tr></thead>
+      <tbody>
+        ${shown.map(a => `
+          <tr>
+            <td>${escapeHtml(a.service_name)}</td>
+            <td>${escapeHtml(a.url || '')}</td>
+            <td>${escapeHtml(a.username || '')}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+    ${more > 0 ? `<p class="preview-more">and ${more} more</p>` : ''}
+  `;
+  importPreview.classList.remove('hidden');
+}
+
+function closeImportModal() {
+  importOverlay.classList.add('hidden');
+  importPreview.classList.add('hidden');
+  importPreview.innerHTML = '';
+  importPassGroup.classList.add('hidden');
+  importPassphrase.value = '';
+  importError.classList.add('hidden');
+  pendingImportData = null;
 }
@@ -0,0 +1,94 @@
+// Able Account - change-password pages
+// Where to send someone who wants to rotate an account's password. Lookup
+// order: the user's own entries (Settings), this bundled list, then the
+// /.well-known/change-password URL that sites and browsers agree on.
+
+const CHANGE_PASSWORD_CATALOG = {
+  'adobe.com': 'https://account.adobe.com/security',
+  'apple.com': 'https://account.apple.com/account/manage',
+  'atlassian.com': 'https://id.atlassian.com/manage-profile/security',
+  'atlassian.net': 'https://id.atlassian.com/manage-profile/security',
+  'dropbox.com': 'https://www.dropbox.com/account/security',
+  'facebook.com': 'https://accountscenter.facebook.com/password_and_security/password/change',
+  'github.com': 'https://github.com/settings/security',
+  'gitlab.com': 'https://gitlab.com/-/user_settings/password/edit',
+  'google.com': 'https://myaccount.google.com/signinoptions/password',
+  'instagram.com': 'https://accountscenter.instagram.com/password_and_security/password/change',
+  'linkedin.com': 'https://www.linkedin.com/mypreferences/d/change-password',
+  'live.com': 'https://account.live.com/password/Change',
+  'microsoft.com': 'https://account.live.com/password/Change',
+  'netflix.com': 'https://www.netflix.com/password',
+  'outlook.com': 'https://account.live.com/password/Change',
+  'paypal.com': 'https://www.paypal.com/myaccount/security/',
+  'reddit.com': 'https://www.reddit.com/settings/account',
+  'slack.com': 'https://slack.com/account/settings',
+  'spotify.com': 'https://www.spotify.com/account/change-password/',
+  'twitch.tv': 'https://www.twitch.tv/settings/security',
+  'twitter.com': 'https://x.com/settings/password',
+  'wordpress.com': 'https://wordpress.com/me/security',
+  'x.com': 'https://x.com/settings/password',
+  'yahoo.com': 'https://login.yahoo.com/myaccount/security/',
+  'zoom.us': 'https://zoom.us/profile'
+};
+
+const WELL_KNOWN_CHANGE_PASSWORD = '/.well-known/change-password';
+
+// "https://www.example.com/login" -> "example.com"; null without a usable site
+function accountDomain(account) {
+  const url = accountSiteUrl(account);
+  return url ? new URL(url).hostname.replace(/^www\./, '').toLowerCase() : null;
+}
+
+// Exact host first, then each parent ("mail.google.com" -> "google.com")
+function lookupDomain(map, domain) {
+  const parts = domain.split('.');
+  for (let i = 0; i < parts.length - 1; i++) {
+    const candidate = parts.slice(i).join('.');
+    if (map[candidate]) return map[candidate];
+  }
+  return null;
+}
+
+function changePasswordUrl(account, custom = getChangePasswordUrls()) {
+  const domain = accountDomain(account);
+  if (!domain) return null;
+  return lookupDomain(custom, domain)
+    || lookupDomain(CHANGE_PASSWORD_CATALOG, domain)
+    || `${new URL(accountSiteUrl(account)).origin}${WELL_KNOWN_CHANGE_PASSWORD}`;
+}
+
+// Settings textarea: one "domain url" pair per line. Returns { map, invalid }.
+function parseChangePasswordList(text) {
+  const map = {};
+  const invalid = [];
+  for (const line of String(text || '').split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+    const [domain, url] = trimmed.split(/\s+/);
+    const safe = url && accountSiteUrl({ url });
+    if (!safe || !/^https?:\/\//i.test(url) || !/^[a-z0-9.-]+\.[a-z]{2,}$/i.test(domain)) {
+      invalid.push(trimmed);
+      continue;
+    }
+    map[domain.replace(/^www\./i, '').toLowerCase()] = safe;
+  }
+  return { map, invalid };
+}
+
+function formatChangePasswordList(map) {
+  return Object.entries(map).map(([domain, url]) => `${domain} ${url}`).join('\n');
+}
+
+// Opens the page in a new tab; the service worker marks the account refreshed
+// once the content script sees the new password submitted there
+async function startRotation(account) {
+  const url = changePasswordUrl(account);
+  if (!url) return false;
+  const started = await sendToWorker({
+    type: 'startRotation',
+    accountId: account.id,
+    name: account.service_name,
+    url
+  });
+  return !!started;
+}
@@ -0,0 +1,65 @@
+// Able Account - minimal RFC 4180 CSV reader and writer
+
+// Returns an array of rows, each an array of cell strings.
+// Handles quoted fields, escaped quotes, embedded newlines and CRLF.
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+
+  // Strip a UTF-8 byte order mark (Excel, KeePass)
+  if (text.charCodeAt(0) === 0xFEFF) i = 1;
+
+  for (; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// Serializes an array of rows (arrays of values) to CSV text with CRLF line
+// endings. Cells that a spreadsheet would evaluate as a formula are prefixed
+// with a quote so exported data can't run as a formula when opened.
+function toCSV(rows) {
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = "'" + text;
+  if (/[",\r\n]/.test(text)) text = '"' + text.replace(/"/g, '""') + '"';
+  return text;
+}
@@ -0,0 +1,175 @@
+// Able Account - localized signup detection keywords
+// Extra phrases merged over the English lists in shared/detection-rules.js.
+// Packs are picked from the page's lang attribute and the browser's
+// languages; English always applies. Lower case, matched as substrings, so
+// a shared stem ("bienvenid") covers both forms of a word.
+
+const DETECTION_LOCALES = {
+  de: {
+    name: 'Deutsch',
+    keywords: {
+      signupButton: ['registrieren', 'registrierung', 'konto erstellen', 'konto anlegen', 'account erstellen', 'mitglied werden'],
+      loginButton: ['anmelden', 'einloggen'],
+      signupUrl: ['/registrieren', '/registrierung', '/konto-erstellen'],
+      loginUrl: ['/anmelden', '/einloggen'],
+      confirmText: [
+        'konto wurde erstellt', 'konto erstellt', 'registrierung abgeschlossen', 'registrierung erfolgreich',
+        'danke für ihre registrierung', 'danke für deine registrierung', 'bestätigen sie ihre e-mail',
+        'bestätige deine e-mail', 'prüfen sie ihr postfach', 'willkommen bei'
+      ],
+      welcomeText: ['willkommen', 'los geht', 'vervollständigen sie ihr profil', 'vervollständige dein profil', 'fast geschafft'],
+      terms: ['nutzungsbedingungen', 'agb', 'datenschutzerklärung', 'ich stimme', 'ich akzeptiere'],
+      forgotPassword: ['passwort vergessen', 'kennwort vergessen'],
+      changePassword: ['passwort ändern', 'kennwort ändern', 'passwort zurücksetzen', 'neues passwort', 'neues kennwort'],
+      oauthButton: ['anmelden mit', 'weiter mit', 'registrieren mit', 'fortfahren mit', 'mit google', 'mit apple', 'mit microsoft']
+    }
+  },
+  fr: {
+    name: 'Français',
+    keywords: {
+      signupButton: ['s\'inscrire', 's’inscrire', 'inscription', 'créer un compte', 'créer mon compte', 'créer votre compte', 'ouvrir un compte'],
+      loginButton: ['se connecter', 'connexion', 's\'identifier', 's’identifier'],
+      signupUrl: ['/inscription', '/creer-un-compte', '/creer-compte'],
+      loginUrl: ['/connexion', '/se-connecter'],
+      confirmText: [
+        'compte créé', 'compte a été créé', 'merci pour votre inscription', 'merci de votre inscription',
+        'inscription réussie', 'inscription terminée', 'vérifiez votre e-mail', 'vérifiez votre adresse e-mail',
+        'consultez votre boîte', 'bienvenue sur', 'bienvenue chez'
+      ],
+      welcomeText: ['bienvenue', 'commencer', 'complétez votre profil', 'presque terminé', 'encore une étape'],
+      terms: ['conditions d\'utilisation', 'conditions d’utilisation', 'conditions générales', 'politique de confidentialité', 'j\'accepte', 'j’accepte'],
+      forgotPassword: ['mot de passe oublié'],
+      changePassword: ['changer le mot de passe', 'modifier le mot de passe', 'modifier votre mot de passe', 'réinitialiser le mot de passe', 'réinitialiser votre mot de passe', 'nouveau mot de passe'],
+      oauthButton: ['se connecter avec', 'continuer avec', 's\'inscrire avec', 's’inscrire avec', 'connexion avec']
+    }
+  },
+  es: {
+    name: 'Español',
+    keywords: {
+      signupButton: ['registrarse', 'regístrate', 'registrate', 'crear cuenta', 'crear una cuenta', 'crear mi cuenta', 'únete', 'darse de alta'],
+      loginButton: ['iniciar sesión', 'inicia sesión', 'acceder', 'entrar'],
+      signupUrl: ['/registro', '/registrarse', '/crear-cuenta'],
+      loginUrl: ['/iniciar-sesion', '/acceso', '/entrar'],
+      confirmText: [
+        'cuenta creada', 'cuenta ha sido creada', 'gracias por registrarte', 'gracias por registrarse',
+        'registro completado', 'verifica tu correo', 'revisa tu correo', 'confirma tu correo',
+        'bienvenido a', 'bienvenida a'
+      ],
+      welcomeText: ['bienvenid', 'empezar', 'comenzar', 'completa tu perfil', 'casi listo', 'un paso más'],
+      terms: ['términos y condiciones', 'términos de servicio', 'términos de uso', 'política de privacidad', 'acepto'],
+      forgotPassword: ['olvidaste tu contraseña', 'olvidé mi contraseña', 'olvidó su contraseña'],
+      changePassword: ['cambiar contraseña', 'cambiar la contraseña', 'cambiar tu contraseña', 'restablecer contraseña', 'restablecer la contraseña', 'nueva contraseña'],
+      oauthButton: ['continuar con', 'iniciar sesión con', 'registrarse con', 'acceder con']
+    }
+  },
+  pt: {
+    name: 'Português',
+    keywords: {
+      signupButton: ['cadastrar', 'cadastre-se', 'criar conta', 'criar uma conta', 'criar minha conta', 'registar', 'inscrever-se'],
+      loginButton: ['entrar', 'iniciar sessão', 'fazer login'],
+      signupUrl: ['/cadastro', '/criar-conta', '/registo'],
+      loginUrl: ['/entrar'],
+      confirmText: [
+        'conta criada', 'conta foi criada', 'obrigado por se cadastrar', 'cadastro concluído', 'registo concluído',
+        'verifique seu e-mail', 'verifique o seu e-mail', 'confirme seu e-mail', 'bem-vindo ao', 'bem-vindo à'
+      ],
+      welcomeText: ['bem-vind', 'começar', 'complete seu perfil', 'complete o seu perfil', 'quase lá'],
+      terms: ['termos de uso', 'termos de serviço', 'termos e condições', 'política de privacidade', 'concordo', 'aceito'],
+      forgotPassword: ['esqueceu sua senha', 'esqueceu a senha', 'esqueci minha senha', 'esqueceu a palavra-passe'],
+      changePassword: ['alterar senha', 'alterar a senha', 'mudar senha', 'redefinir senha', 'nova senha', 'alterar a palavra-passe', 'nova palavra-passe'],
+      oauthButton: ['continuar com', 'entrar com', 'cadastrar com', 'iniciar sessão com']
+    }
+  },
+  it: {
+    name: 'Italiano',
+    keywords: {
+      signupButton: ['registrati', 'registrazione', 'crea account', 'crea un account', 'iscriviti'],
+      loginButton: ['accedi', 'entra'],
+      signupUrl: ['/registrazione', '/registrati', '/iscrizione'],
+      loginUrl: ['/accedi', '/accesso'],
+      confirmText: [
+        'account creato', 'account è stato creato', 'grazie per la registrazione', 'grazie per esserti registrato',
+        'registrazione completata', 'verifica la tua email', 'controlla la tua email', 'benvenuto su', 'benvenuto in'
+      ],
+      welcomeText: ['benvenut', 'inizia', 'completa il tuo profilo', 'quasi fatto', 'ancora un passo'],
+      terms: ['termini di servizio', 'termini e condizioni', 'termini d\'uso', 'informativa sulla privacy', 'accetto'],
+      forgotPassword: ['password dimenticata', 'dimenticato la password'],
+      changePassword: ['cambia password', 'cambia la password', 'modifica password', 'modifica la password', 'reimposta password', 'reimposta la password', 'nuova password'],
+      oauthButton: ['continua con', 'accedi con', 'registrati con']
+    }
+  },
+  nl: {
+    name: 'Nederlands',
+    keywords: {
+      signupButton: ['registreren', 'registreer', 'account aanmaken', 'account maken', 'word lid'],
+      loginButton: ['inloggen', 'aanmelden'],
+      signupUrl: ['/registreren', '/account-aanmaken'],
+      loginUrl: ['/inloggen'],
+      confirmText: [
+        'account is aangemaakt', 'account aangemaakt', 'bedankt voor je registratie', 'bedankt voor uw registratie',
+        'controleer je e-mail', 'controleer uw e-mail', 'bevestig je e-mailadres', 'welkom bij'
+      ],
+      welcomeText: ['welkom', 'aan de slag', 'vul je profiel aan', 'bijna klaar'],
+      terms: ['algemene voorwaarden', 'servicevoorwaarden', 'gebruiksvoorwaarden', 'privacybeleid', 'ik ga akkoord'],
+      forgotPassword: ['wachtwoord vergeten'],
+      changePassword: ['wachtwoord wijzigen', 'wachtwoord veranderen', 'wachtwoord opnieuw instellen', 'nieuw wachtwoord'],
+      oauthButton: ['doorgaan met', 'inloggen met', 'aanmelden met', 'verder met']
+    }
+  },
+  ja: {
+    name: '日本語',
+    keywords: {
+      signupButton: ['新規登録', '会員登録', '無料登録', 'アカウント作成', 'アカウントを作成', '登録する', 'サインアップ'],
+      loginButton: ['ログイン', 'サインイン'],
+      confirmText: [
+        '登録が完了', '登録完了', 'アカウントが作成されました', 'ご登録ありがとうございます',
+        'メールを確認', '確認メールを送信', 'ようこそ'
+      ],
+      welcomeText: ['ようこそ', 'はじめる', 'はじめましょう', 'プロフィールを完成', 'あと少し'],
+      terms: ['利用規約', 'プライバシーポリシー', '同意する', '同意します'],
+      forgotPassword: ['パスワードをお忘れ', 'パスワードを忘れ'],
+      changePassword: ['パスワードを変更', 'パスワード変更', 'パスワードの再設定', 'パスワードをリセット', '新しいパスワード'],
+      oauthButton: ['で続ける', 'でログイン', 'でサインイン', 'で登録']
+    }
+  },
+  zh: {
+    name: '中文',
+    keywords: {
+      signupButton: ['注册', '註冊', '创建账户', '创建帐户', '建立帳戶', '免费注册'],
+      loginButton: ['登录', '登入', '登錄'],
+      confirmText: [
+        '注册成功', '註冊成功', '账户已创建', '帐户已创建', '帳戶已建立', '欢迎来到', '歡迎來到',
+        '验证您的邮箱', '验证你的邮箱', '查看您的邮箱', '驗證您的電子郵件'
+      ],
+      welcomeText: ['欢迎', '歡迎', '开始使用', '開始使用', '完善个人资料', '完善資料'],
+      terms: ['服务条款', '服務條款', '用户协议', '使用者條款', '隐私政策', '隱私權政策', '我同意'],
+      forgotPassword: ['忘记密码', '忘記密碼'],
+      changePassword: ['修改密码', '更改密码', '重置密码', '新密码', '變更密碼', '重設密碼', '新密碼'],
+      oauthButton: ['继续使用', '繼續使用', '通过', '透過']
+    }
+  },
+  ko: {
+    name: '한국어',
+    keywords: {
+      signupButton: ['회원가입', '가입하기', '계정 만들기', '계정 생성'],
+      loginButton: ['로그인'],
+      confirmText: ['가입이 완료', '가입 완료', '계정이 생성', '환영합니다', '이메일을 확인'],
+      welcomeText: ['환영', '시작하기', '프로필 완성'],
+      terms: ['이용약관', '개인정보 처리방침', '개인정보처리방침', '동의합니다'],
+      forgotPassword: ['비밀번호를 잊으셨', '비밀번호 찾기'],
+      changePassword: ['비밀번호 변경', '비밀번호 재설정', '새 비밀번호'],
+      oauthButton: ['로 계속하기', '으로 계속하기', '로 로그인', '으로 로그인']
+    }
+  }
+};
+
+// Pack codes for the given language tags ("de-AT" -> "de"), in order, skipping
+// ones without a pack
+function detectionLocales(languages) {
+  const picked = [];
+  for (const lang of languages) {
+    const code = String(lang || '').toLowerCase().split(/[-_]/)[0];
+    if (DETECTION_LOCALES[code] && !picked.includes(code)) picked.push(code);
+  }
+  return picked;
+}
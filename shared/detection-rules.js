@@ -0,0 +1,312 @@
+// Able Account - signup detection rules
+// Loaded by the content script (scoring) and the popup (Settings). Each signal
+// is a named test with a weight; a form or page counts as a signup once the
+// weights of its matching signals reach the threshold. Settings can re-weight
+// signals and move the threshold; the tests themselves live here. Nothing in
+// this file reads window.location, so saved pages can be scored as well.
+
+const DETECTION_KEYWORDS = {
+  signupButton: [
+    'sign up', 'signup', 'create account', 'register', 'get started',
+    'join now', 'join free', 'start free', 'create your account',
+    'open account', 'set up account', 'make an account'
+  ],
+  loginButton: ['log in', 'login', 'sign in', 'signin', 'log on'],
+  signupUrl: [
+    '/signup', '/sign-up', '/register', '/create-account',
+    '/join', '/enrollment', '/onboarding', '/new-account'
+  ],
+  loginUrl: ['/login', '/log-in', '/signin', '/sign-in', '/logon'],
+  confirmUrl: [
+    '/welcome', '/success', '/confirm', '/verify',
+    '/thank-you', '/thankyou', '/get-started',
+    '/callback', '/auth/callback', '/oauth/callback',
+    '/dashboard', '/home', '/account'
+  ],
+  confirmText: [
+    'account created', 'registration complete', 'welcome to',
+    'thanks for signing up', 'thank you for registering',
+    'verify your email', 'check your email', 'account has been created',
+    'successfully registered', 'you\'re all set'
+  ],
+  welcomeText: [
+    'welcome', 'get started', 'set up your', 'complete your profile',
+    'account created', 'you\'re all set', 'thanks for joining',
+    'choose a username', 'pick a plan', 'almost done',
+    'finish setting up', 'one more step', 'personalize'
+  ],
+  terms: [
+    'terms of service', 'terms of use', 'terms and conditions',
+    'privacy policy', 'i agree', 'i accept'
+  ],
+  forgotPassword: [
+    'forgot', 'trouble signing in', 'can\'t sign in', 'can\'t log in',
+    'reset your password'
+  ],
+  changePassword: [
+    'change password', 'change your password', 'update password',
+    'update your password', 'reset password', 'reset your password',
+    'set a new password', 'set new password', 'choose a new password',
+    'new password'
+  ],
+  changePasswordUrl: [
+    '/change-password', '/changepassword', '/password', '/reset',
+    '/security', '/account/password'
+  ],
+  // "Sign in with" buttons
+  oauthButton: [
+    'sign in with', 'sign up with', 'continue with',
+    'log in with', 'login with', 'register with',
+    'connect with', 'sign in using', 'sign up using'
+  ],
+  // Coming back FROM one of these usually means a signup just finished
+  oauthProviders: [
+    'accounts.google.com',
+    'appleid.apple.com',
+    'www.facebook.com',
+    'github.com/login/oauth',
+    'login.microsoftonline.com',
+    'twitter.com/i/oauth',
+    'x.com/i/oauth',
+    'discord.com/oauth2',
+    'login.yahoo.com',
+    'amazon.com/ap/oa',
+    'api.linkedin.com'
+  ]
+};
+
+const DEFAULT_DETECTION_THRESHOLD = 60;
+
+// --- Signals ---
+// Form signals get (form, page, keywords); page signals get (page, page,
+// keywords). Negative weights count against a signup.
+
+const SIGNUP_FORM_SIGNALS = [
+  {
+    id: 'confirm-password',
+    label: 'Password and confirm-password fields',
+    weight: 40,
+    test: form => form.querySelectorAll('input[type="password"]').length >= 2
+  },
+  {
+    id: 'new-password',
+    label: 'Field marked as a new password',
+    weight: 25,
+    test: form => !!form.querySelector('input[autocomplete~="new-password"]')
+  },
+  {
+    id: 'signup-button',
+    label: 'Sign-up wording on a button',
+    weight: 35,
+    test: (form, page, kw) => formControls(form).some(el => keywordMatch(controlText(el), kw.signupButton))
+  },
+  {
+    id: 'signup-url',
+    label: 'Sign-up words in the page address',
+    weight: 25,
+    test: (form, page, kw) => keywordMatch(page.url, kw.signupUrl)
+  },
+  {
+    id: 'email-field',
+    label: 'Email field',
+    weight: 10,
+    test: form => !!form.querySelector('input[type="email"], input[autocomplete~="email"], input[name*="email" i]')
+  },
+  {
+    id: 'name-field',
+    label: 'Name fields',
+    weight: 10,
+    test: form => !!form.querySelector(
+      'input[autocomplete~="name"], input[autocomplete~="given-name"], input[autocomplete~="family-name"], ' +
+      'input[name*="first" i], input[name*="last" i], input[name*="fullname" i]'
+    )
+  },
+  {
+    id: 'terms',
+    label: 'Terms or privacy agreement',
+    weight: 15,
+    test: (form, page, kw) => keywordMatch(form.textContent, kw.terms)
+  },
+  {
+    id: 'signup-session',
+    label: 'Password field after an earlier signup step in this tab',
+    // Below the threshold on purpose: a login form opened mid-signup still
+    // needs a form signal of its own to count
+    weight: 35,
+    test: (form, page) => !!page.signupSession && !!form.querySelector('input[type="password"]')
+  },
+  {
+    id: 'login-button',
+    label: 'Log-in wording on the submit button',
+    weight: -40,
+    test: (form, page, kw) => {
+      const controls = formControls(form).map(controlText);
+      return controls.some(text => keywordMatch(text, kw.loginButton))
+        && !controls.some(text => keywordMatch(text, kw.signupButton));
+    }
+  },
+  {
+    id: 'login-url',
+    label: 'Log-in words in the page address',
+    weight: -20,
+    test: (form, page, kw) => keywordMatch(page.url, kw.loginUrl)
+  },
+  {
+    id: 'current-password',
+    label: 'Field marked as the current password',
+    weight: -40,
+    test: form => !!form.querySelector('input[autocomplete~="current-password"]')
+  },
+  {
+    id: 'forgot-password',
+    label: '"Forgot password" link',
+    weight: -30,
+    test: (form, page, kw) => Array.from(form.querySelectorAll('a'))
+      .some(a => keywordMatch(a.textContent, kw.forgotPassword))
+  },
+  {
+    id: 'change-password',
+    label: 'Change or reset password wording',
+    weight: -40,
+    test: (form, page, kw) => keywordMatch(form.textContent + ' ' + page.title, kw.changePassword)
+  }
+];
+
+const SIGNUP_PAGE_SIGNALS = [
+  {
+    id: 'confirm-url',
+    label: 'Welcome or confirmation page address',
+    weight: 25,
+    test: (page, _, kw) => keywordMatch(page.url, kw.confirmUrl)
+  },
+  {
+    id: 'confirm-text',
+    label: 'Account-created wording on the page',
+    weight: 45,
+    test: (page, _, kw) => keywordMatch(page.text, kw.confirmText)
+  },
+  {
+    id: 'signup-session-page',
+    label: 'Earlier signup step in this tab',
+    weight: 25,
+    test: page => !!page.signupSession
+  }
+];
+
+function detectionSignals() {
+  return [...SIGNUP_FORM_SIGNALS, ...SIGNUP_PAGE_SIGNALS];
+}
+
+// --- Scoring ---
+
+function keywordMatch(text, keywords) {
+  const value = String(text || '').toLowerCase();
+  return keywords.some(kw => value.includes(kw));
+}
+
+function formControls(form) {
+  return Array.from(form.querySelectorAll('button, input[type="submit"], a[role="button"]'));
+}
+
+function controlText(el) {
+  return (el.textContent || el.value || el.getAttribute('aria-label') || '').toLowerCase().trim();
+}
+
+// url defaults to the document's own; pass one for pages loaded with DOMParser.
+// signupSession is set when an earlier step of a multi-step signup was seen.
+// The page text is only read if a signal asks for it.
+function pageSnapshot(doc, url = doc.location?.href, signupSession = false) {
+  let text = null;
+  return {
+    url: String(url || '').toLowerCase(),
+    title: String(doc.title || '').toLowerCase(),
+    signupSession,
+    get text() {
+      if (text === null) text = String(doc.body?.innerText || doc.body?.textContent || '').toLowerCase();
+      return text;
+    }
+  };
+}
+
+// Saved overrides ({ threshold, weights, phrases }) over the defaults, with
+// the keyword packs for `locales` (see shared/detection-locales.js) merged
+// in. Unknown signal ids and out-of-range numbers are dropped.
+function normalizeDetectionRules(value, locales = []) {
+  const v = value && typeof value === 'object' ? value : {};
+  const saved = v.weights && typeof v.weights === 'object' ? v.weights : {};
+  const threshold = parseInt(v.threshold, 10);
+  const weights = {};
+  for (const signal of detectionSignals()) {
+    const weight = parseInt(saved[signal.id], 10);
+    weights[signal.id] = weight >= -100 && weight <= 100 ? weight : signal.weight;
+  }
+  const phrases = normalizeCustomPhrases(v.phrases);
+  return {
+    threshold: threshold >= 1 && threshold <= 200 ? threshold : DEFAULT_DETECTION_THRESHOLD,
+    weights,
+    phrases,
+    keywords: detectionKeywords(locales, phrases)
+  };
+}
+
+// --- Keywords ---
+
+// Lists the user can add their own phrases to in Settings
+const CUSTOM_PHRASE_LISTS = {
+  signupButton: 'Sign-up buttons',
+  loginButton: 'Log-in buttons',
+  confirmText: 'Account-created pages',
+  oauthButton: '"Sign in with..." buttons',
+  welcomeText: 'First pages after "Sign in with..."'
+};
+
+function normalizeCustomPhrases(value) {
+  const v = value && typeof value === 'object' ? value : {};
+  const phrases = {};
+  for (const list of Object.keys(CUSTOM_PHRASE_LISTS)) {
+    const entries = Array.isArray(v[list]) ? v[list] : [];
+    phrases[list] = [...new Set(entries
+      .filter(p => typeof p === 'string')
+      .map(p => p.trim().toLowerCase().slice(0, 100))
+      .filter(Boolean))].slice(0, 50);
+  }
+  return phrases;
+}
+
+// English, then each locale pack, then the user's phrases
+function detectionKeywords(locales, phrases) {
+  const keywords = {};
+  for (const [list, english] of Object.entries(DETECTION_KEYWORDS)) {
+    const extra = locales.flatMap(code => DETECTION_LOCALES[code]?.keywords[list] || []);
+    keywords[list] = [...new Set([...english, ...extra, ...(phrases[list] || [])])];
+  }
+  return keywords;
+}
+
+// { score, matched, confident }; a test that throws counts as no match
+function scoreSignals(signals, rules, target, page) {
+  let score = 0;
+  const matched = [];
+  for (const signal of signals) {
+    const weight = rules.weights[signal.id];
+    if (!weight) continue;
+    let hit = false;
+    try {
+      hit = signal.test(target, page, rules.keywords);
+    } catch (e) {
+      hit = false;
+    }
+    if (!hit) continue;
+    score += weight;
+    matched.push(signal.id);
+  }
+  return { score, matched, confident: score >= rules.threshold };
+}
+
+function scoreSignupForm(form, page, rules) {
+  return scoreSignals(SIGNUP_FORM_SIGNALS, rules, form, page);
+}
+
+function scoreConfirmationPage(page, rules) {
+  return scoreSignals(SIGNUP_PAGE_SIGNALS, rules, page, page);
+}
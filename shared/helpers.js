@@ -0,0 +1,319 @@
+// Able Account - UI helpers shared by the popup and the dashboard
+
+// --- Search, Filter, Sort ---
+
+function applySearch(accounts, query) {
+  if (!query) return accounts;
+  const q = query.toLowerCase();
+  return accounts.filter(a =>
+    (a.service_name || '').toLowerCase().includes(q) ||
+    (a.url || '').toLowerCase().includes(q) ||
+    (a.username || '').toLowerCase().includes(q) ||
+    (a.tags || []).some(t => t.toLowerCase().includes(q))
+  );
+}
+
+function applyFilter(accounts, filter) {
+  if (filter === 'all') return accounts;
+  const now = new Date();
+  return accounts.filter(a => calcStatus(a, now) === filter);
+}
+
+function applySort(accounts, sort) {
+  const sorted = [...accounts];
+  switch (sort) {
+    case 'name_asc':
+      sorted.sort((a, b) => (a.service_name || '').localeCompare(b.service_name || ''));
+      break;
+    case 'name_desc':
+      sorted.sort((a, b) => (b.service_name || '').localeCompare(a.service_name || ''));
+      break;
+    case 'urgency':
+      sorted.sort((a, b) => urgencyOf(a) - urgencyOf(b));
+      break;
+    case 'oldest_change':
+      sorted.sort((a, b) => daysSinceChange(b) - daysSinceChange(a));
+      break;
+    case 'date_added':
+      sorted.sort((a, b) => (b.date_added || '').localeCompare(a.date_added || ''));
+      break;
+  }
+  return sorted;
+}
+
+// Days until an account needs attention; snoozes push it back, exemptions sink it
+function urgencyOf(account) {
+  if (account.exempt) return Infinity;
+  const days = daysUntilDue(account);
+  if (!account.snoozed_until) return days;
+  const snoozeDays = Math.ceil((new Date(account.snoozed_until) - new Date()) / (24 * 60 * 60 * 1000));
+  return Math.max(days, snoozeDays);
+}
+
+// --- Categories & Tags ---
+
+// Category id -> row from getCategories(); pages rebuild it on every reload
+let categoryIndex = new Map();
+
+function refreshCategoryIndex() {
+  categoryIndex = new Map(getCategories().map(c => [c.id, c]));
+  return [...categoryIndex.values()];
+}
+
+function categoryLabel(id) {
+  const c = categoryIndex.get(id);
+  return c ? c.name : (id || 'General');
+}
+
+function categoryColor(id) {
+  const c = categoryIndex.get(id);
+  return c ? c.color : '#64748b';
+}
+
+function categoryOptionsHtml(categories) {
+  return categories
+    .map(c => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}</option>`)
+    .join('');
+}
+
+function tagOptionsHtml(tags) {
+  return tags
+    .map(t => `<option value="${escapeHtml(t.name)}">${escapeHtml(t.name)} (${t.count})</option>`)
+    .join('');
+}
+
+function tagChipsHtml(tags, query) {
+  return (tags || [])
+    .map(t => `<span class="tag-chip">${highlightMatch(escapeHtml(t), query)}</span>`)
+    .join('');
+}
+
+// --- Forms ---
+
+// Moves an interval input to the new category's default when the category
+// changes, unless the user has typed their own interval
+function bindIntervalToCategory(categorySelect, intervalInput) {
+  let previous = categorySelect.value;
+  categorySelect.addEventListener('focus', () => {
+    previous = categorySelect.value;
+  });
+  categorySelect.addEventListener('change', () => {
+    if (parseInt(intervalInput.value, 10) === defaultIntervalFor(previous)) {
+      intervalInput.value = defaultIntervalFor(categorySelect.value);
+    }
+    previous = categorySelect.value;
+  });
+}
+
+// --- Formatting ---
+
+function highlightMatch(text, query) {
+  if (!query || !text) return text;
+  const escaped = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const regex = new RegExp(`(${escaped})`, 'gi');
+  return text.replace(regex, '<mark>$1</mark>');
+}
+
+function describeAge(account, status) {
+  if (status === 'exempt') {
+    return account.exempt_reason ? `Exempt: ${account.exempt_reason}` : 'Exempt from rotation';
+  }
+
+  const days = daysSinceChange(account);
+  const daysLeft = daysUntilDue(account);
+
+  let ageText;
+  if (days === Infinity) {
+    ageText = 'Never changed';
+  } else if (days === 0) {
+    ageText = 'Changed today';
+  } else if (days === 1) {
+    ageText = 'Changed 1 day ago';
+  } else {
+    ageText = `Changed ${days} days ago`;
+  }
+
+  if (status === 'overdue' && daysLeft < 0) {
+    ageText += ` (${Math.abs(daysLeft)}d overdue)`;
+  } else if (status === 'due_soon') {
+    ageText += ` (due in ${daysLeft}d)`;
+  } else if (status === 'snoozed') {
+    ageText += ` (snoozed until ${formatDate(account.snoozed_until)})`;
+  }
+  return ageText;
+}
+
+function statusLabel(status) {
+  switch (status) {
+    case 'overdue': return 'Password overdue for refresh';
+    case 'due_soon': return 'Password refresh due soon';
+    case 'good': return 'Password recently changed';
+    case 'snoozed': return 'Reminders snoozed';
+    case 'exempt': return 'Exempt from rotation';
+    default: return '';
+  }
+}
+
+function sourceLabel(source) {
+  switch (source) {
+    case 'manual': return 'Refresh button';
+    case 'edit': return 'Edit form';
+    case 'import': return 'Import';
+    case 'detector': return 'Auto-detected';
+    case 'notification': return 'Notification';
+    case 'rotation': return 'Guided rotation';
+    case 'legacy': return 'Before history was kept';
+    default: return '';
+  }
+}
+
+function formatDate(iso) {
+  const d = new Date(iso);
+  if (isNaN(d.getTime())) return iso || '';
+  return d.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+// "Oct 3, 2:14 PM · recovery key · dashboard"
+function describeFailedUnlock(attempt) {
+  const when = new Date(attempt.at).toLocaleString(undefined, {
+    month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+  });
+  const method = { recovery: 'recovery key', passkey: 'fingerprint / security key' }[attempt.method] || 'passphrase';
+  return `${when} · ${method} · ${attempt.page}`;
+}
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  // innerHTML leaves quotes alone; escape them so output is safe in attributes
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+function historyItemsHtml(events) {
+  if (events.length === 0) {
+    return '<li class="history-empty">No password changes recorded yet.</li>';
+  }
+  return events.map(e => `
+    <li class="history-item">
+      <span class="history-date">${escapeHtml(formatDate(e.changed_at))}</span>
+      <span class="history-source">${escapeHtml(sourceLabel(e.source))}</span>
+      ${e.note ? `<div class="history-note">${escapeHtml(e.note)}</div>` : ''}
+    </li>
+  `).join('');
+}
+
+// --- Toasts ---
+
+// action: optional { label, run } rendered as a button, e.g. Undo
+function showToast(message, isError = false, action = null) {
+  const existing = document.querySelector('.toast');
+  if (existing) existing.remove();
+
+  const toast = document.createElement('div');
+  toast.className = 'toast' + (isError ? ' toast-error' : '');
+  toast.textContent = message;
+
+  if (action) {
+    const btn = document.createElement('button');
+    btn.className = 'toast-action';
+    btn.textContent = action.label;
+    btn.addEventListener('click', async () => {
+      toast.remove();
+      await action.run();
+    }, { once: true });
+    toast.appendChild(btn);
+  }
+
+  document.body.appendChild(toast);
+
+  setTimeout(() => {
+    toast.classList.add('toast-out');
+    setTimeout(() => toast.remove(), 200);
+  }, action ? 6000 : 2500);
+}
+
+// --- Links ---
+
+// Returns a safe http(s) URL for the account's site, or null
+function accountSiteUrl(account) {
+  if (!account || !account.url) return null;
+  let url = account.url.trim();
+  if (!url.startsWith('http://') && !url.startsWith('https://')) {
+    url = 'https://' + url;
+  }
+  // Only allow http/https URLs — block javascript:, data:, etc.
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol === 'https:' || parsed.protocol === 'http:') return url;
+  } catch (e) {
+    // Invalid URL
+  }
+  return null;
+}
+
+// --- Auto-Lock ---
+
+const AUTO_LOCK_EVENTS = ['mousemove', 'mousedown', 'keydown', 'wheel', 'touchstart'];
+let autoLockTimer = null;
+let autoLockReset = null;
+
+// Calls onLock after `minutes` with no keyboard or mouse input; 0 turns it off
+function startAutoLock(minutes, onLock) {
+  stopAutoLock();
+  if (!minutes) return;
+  autoLockReset = () => {
+    clearTimeout(autoLockTimer);
+    autoLockTimer = setTimeout(() => {
+      stopAutoLock();
+      onLock();
+    }, minutes * 60 * 1000);
+  };
+  AUTO_LOCK_EVENTS.forEach(type => document.addEventListener(type, autoLockReset, { passive: true }));
+  autoLockReset();
+}
+
+function stopAutoLock() {
+  clearTimeout(autoLockTimer);
+  if (autoLockReset) {
+    AUTO_LOCK_EVENTS.forEach(type => document.removeEventListener(type, autoLockReset));
+    autoLockReset = null;
+  }
+}
+
+// --- Passkey Unlock ---
+
+// Lock screen / settings wording for the PASSKEY_* and WRONG_PASSKEY codes
+function passkeyErrorText(code) {
+  switch (code) {
+    case 'PASSKEY_CANCELLED': return 'Cancelled or timed out. Try again, or use your passphrase.';
+    case 'PASSKEY_NO_PRF': return 'This authenticator can\'t be used to unlock Able Account.';
+    case 'PASSKEY_UNAVAILABLE': return 'Fingerprint and security key unlock isn\'t available in this browser.';
+    case 'WRONG_PASSKEY': return 'That key didn\'t unlock your data. Use your passphrase instead.';
+    default: return null;
+  }
+}
+
+// --- Unlock Lockout ---
+
+let lockoutTimer = null;
+
+// Ticks once a second with the time left ("42s", "3:05") until `until`, then calls onDone
+function startLockoutCountdown(until, onTick, onDone) {
+  stopLockoutCountdown();
+  const tick = () => {
+    const seconds = Math.ceil((until - Date.now()) / 1000);
+    if (seconds <= 0) {
+      stopLockoutCountdown();
+      onDone();
+      return;
+    }
+    onTick(seconds >= 60 ? `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}` : `${seconds}s`);
+  };
+  lockoutTimer = setInterval(tick, 1000);
+  tick();
+}
+
+function stopLockoutCountdown() {
+  clearInterval(lockoutTimer);
+  lockoutTimer = null;
+}
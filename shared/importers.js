@@ -0,0 +1,152 @@
+// Able Account - password manager CSV importers
+//
+// Maps the CSV exports of common password managers onto account rows. Only
+// the name, URL and username columns are read; password, TOTP and note
+// columns are blanked as soon as the file is parsed and never reach the
+// database.
+
+// Columns that hold secrets in one export format or another
+const SECRET_COLUMNS = ['password', 'login_password', 'login_totp', 'otpauth', 'totp', 'notes', 'note', 'comments', 'fields'];
+
+// Checked in order — the first format whose detect() matches the header wins
+const PASSWORD_MANAGER_FORMATS = [
+  {
+    id: 'firefox',
+    name: 'Firefox',
+    detect: h => h.includes('formactionorigin') || h.includes('timepasswordchanged'),
+    columns: { url: 'url', username: 'username' },
+    // Milliseconds since epoch
+    changedAt: row => {
+      const ms = parseInt(row.timepasswordchanged, 10);
+      return ms > 0 ? new Date(ms).toISOString() : '';
+    }
+  },
+  {
+    id: 'bitwarden',
+    name: 'Bitwarden',
+    detect: h => h.includes('login_uri'),
+    columns: { name: 'name', url: 'login_uri', username: 'login_username' },
+    // Secure notes, cards and identities have no login to track
+    include: row => !row.type || row.type === 'login'
+  },
+  {
+    id: 'keepassxc',
+    name: 'KeePassXC',
+    detect: h => h.includes('group') && h.includes('title') && h.includes('url'),
+    columns: { name: 'title', url: 'url', username: 'username' },
+    // Skip the recycle bin group
+    include: row => !/recycle bin/i.test(row.group || '')
+  },
+  {
+    id: 'keepass',
+    name: 'KeePass',
+    detect: h => h.includes('account') && h.includes('login name'),
+    columns: { name: 'account', url: 'web site', username: 'login name' }
+  },
+  {
+    id: '1password',
+    name: '1Password',
+    detect: h => h.includes('title') && (h.includes('url') || h.includes('website')),
+    columns: { name: 'title', url: ['url', 'website'], username: 'username' },
+    include: row => !/^(true|1)$/i.test(row.archived || '')
+  },
+  {
+    id: 'chrome',
+    name: 'Chrome / Edge / Brave',
+    detect: h => h.includes('name') && h.includes('url') && h.includes('username'),
+    columns: { name: 'name', url: 'url', username: 'username' }
+  }
+];
+
+// Returns { format, accounts, skipped } or { error }
+function importPasswordManagerCSV(text) {
+  const rows = parseCSV(text);
+  if (rows.length < 2) return { error: 'CSV file has no data rows.' };
+
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  const format = PASSWORD_MANAGER_FORMATS.find(f => f.detect(header));
+  if (!format) {
+    return { error: 'Unrecognized CSV format. Export from Chrome, Firefox, Bitwarden, 1Password or KeePass.' };
+  }
+
+  // Blank secret cells before anything else touches the rows
+  const secretIdx = header
+    .map((h, i) => (SECRET_COLUMNS.includes(h) ? i : -1))
+    .filter(i => i >= 0);
+  for (const row of rows) {
+    for (const i of secretIdx) row[i] = '';
+  }
+
+  const accounts = [];
+  let skipped = 0;
+
+  for (const cells of rows.slice(1)) {
+    const row = {};
+    header.forEach((h, i) => { row[h] = (cells[i] || '').trim(); });
+
+    if (format.include && !format.include(row)) {
+      skipped++;
+      continue;
+    }
+
+    const url = normalizeImportUrl(pickColumn(row, format.columns.url));
+    const username = pickColumn(row, format.columns.username);
+    const name = pickColumn(row, format.columns.name) || serviceNameFromHost(url);
+    if (!name) {
+      skipped++;
+      continue;
+    }
+
+    const account = {
+      service_name: name.slice(0, 200),
+      url: url.slice(0, 200),
+      username: username.slice(0, 200),
+      category: 'general'
+    };
+    const changedAt = format.changedAt ? format.changedAt(row) : '';
+    if (changedAt) account.last_password_change = changedAt;
+    accounts.push(account);
+  }
+
+  if (accounts.length === 0) return { error: 'No importable logins found in CSV file.' };
+  return { format, accounts, skipped };
+}
+
+function pickColumn(row, column) {
+  if (!column) return '';
+  const names = Array.isArray(column) ? column : [column];
+  for (const name of names) {
+    if (row[name]) return row[name];
+  }
+  return '';
+}
+
+// "https://www.example.com/login" -> "example.com"
+function normalizeImportUrl(raw) {
+  if (!raw) return '';
+  try {
+    const parsed = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(raw) ? raw : `https://${raw}`);
+    if (parsed.protocol === 'http:' || parsed.protocol === 'https:') {
+      return parsed.hostname.replace(/^www\./, '');
+    }
+    // App links (androidapp://, etc.) have no site to visit
+    return '';
+  } catch (e) {
+    return raw;
+  }
+}
+
+// Labels that sit between a name and a two-letter country code ("bbc.co.uk")
+const SECOND_LEVEL_LABELS = ['co', 'com', 'org', 'net', 'gov', 'ac', 'edu'];
+
+// "accounts.google.com" -> "Google", "www.bbc.co.uk" -> "Bbc"
+function serviceNameFromHost(host) {
+  if (!host) return '';
+  const parts = host.split('.');
+  let suffix = 1;
+  if (parts.length > 2 && parts[parts.length - 1].length === 2 && SECOND_LEVEL_LABELS.includes(parts[parts.length - 2])) {
+    suffix = 2;
+  }
+  const name = parts.length > suffix ? parts[parts.length - suffix - 1] : parts[0];
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
@@ -0,0 +1,159 @@
+// Able Account - inventory exports (CSV and printable HTML report)
+// Both take the accounts in the order the caller is showing them, so
+// exports follow the current search, filter and sort.
+
+const REPORT_COLUMNS = [
+  { key: 'service_name', label: 'Service' },
+  { key: 'url', label: 'URL' },
+  { key: 'username', label: 'Username' },
+  { key: 'category', label: 'Category' },
+  { key: 'tags', label: 'Tags' },
+  { key: 'refresh_interval_days', label: 'Interval (days)' },
+  { key: 'last_password_change', label: 'Last Change' },
+  { key: 'status', label: 'Status' },
+  { key: 'days_since_change', label: 'Days Since Change' },
+  { key: 'days_until_due', label: 'Days Until Due' },
+  { key: 'hold', label: 'Snooze / Exemption' },
+  { key: 'date_added', label: 'Date Added' },
+  { key: 'notes', label: 'Notes' }
+];
+
+const REPORT_STATUS_TEXT = {
+  overdue: 'Overdue',
+  due_soon: 'Due Soon',
+  good: 'Good',
+  snoozed: 'Snoozed',
+  exempt: 'Exempt'
+};
+
+function reportRow(account, now) {
+  const since = daysSinceChange(account);
+  const until = daysUntilDue(account);
+  return {
+    service_name: account.service_name,
+    url: account.url || '',
+    username: account.username || '',
+    category: categoryLabel(account.category),
+    tags: (account.tags || []).join(', '),
+    refresh_interval_days: account.refresh_interval_days,
+    last_password_change: (account.last_password_change || '').split('T')[0],
+    status: REPORT_STATUS_TEXT[calcStatus(account, now)] || '',
+    // Never-changed accounts have no age or due date (daysUntilDue's -999
+    // is a sort sentinel); leave those cells blank
+    days_since_change: Number.isFinite(since) ? since : '',
+    days_until_due: account.last_password_change ? until : '',
+    hold: holdText(account, now),
+    date_added: (account.date_added || '').split('T')[0],
+    notes: account.notes || ''
+  };
+}
+
+function holdText(account, now) {
+  const reason = (text) => (text ? ` (${text})` : '');
+  if (account.exempt) return `Exempt${reason(account.exempt_reason)}`;
+  if (account.snoozed_until && now < new Date(account.snoozed_until)) {
+    return `Snoozed until ${account.snoozed_until.split('T')[0]}${reason(account.snooze_reason)}`;
+  }
+  return '';
+}
+
+function accountsToCSV(accounts) {
+  const now = new Date();
+  const rows = [REPORT_COLUMNS.map(c => c.label)];
+  for (const account of accounts) {
+    const row = reportRow(account, now);
+    rows.push(REPORT_COLUMNS.map(c => row[c.key]));
+  }
+  return toCSV(rows);
+}
+
+// Standalone HTML page: no scripts, inline styles, prints cleanly.
+// `scope` describes the active search/filter so reviewers know what they got.
+function accountsToHTMLReport(accounts, scope) {
+  const now = new Date();
+  const counts = { overdue: 0, due_soon: 0, good: 0, snoozed: 0, exempt: 0 };
+  const body = accounts.map(account => {
+    const row = reportRow(account, now);
+    const status = calcStatus(account, now);
+    counts[status]++;
+    return `<tr class="${status}">` +
+      REPORT_COLUMNS.map(c => `<td>${escapeHtml(String(row[c.key]))}</td>`).join('') +
+      '</tr>';
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Able Account - Inventory Report</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1e293b; margin: 24px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  .meta { color: #64748b; font-size: 12px; margin: 0 0 16px; }
+  table { border-collapse: collapse; width: 100%; font-size: 11px; }
+  th, td { border: 1px solid #cbd5e1; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { background: #f1f5f9; }
+  tr.overdue td:nth-child(8) { color: #b91c1c; font-weight: 600; }
+  tr.due_soon td:nth-child(8) { color: #b45309; font-weight: 600; }
+  @media print { body { margin: 0; } tr { page-break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>Account Inventory</h1>
+<p class="meta">Generated ${escapeHtml(now.toLocaleString())} &middot; ${accounts.length} account${accounts.length !== 1 ? 's' : ''} &middot; ${counts.overdue} overdue, ${counts.due_soon} due soon, ${counts.good} good, ${counts.snoozed} snoozed, ${counts.exempt} exempt${scope ? ` &middot; ${escapeHtml(scope)}` : ''}</p>
+<table>
+<thead><tr>${REPORT_COLUMNS.map(c => `<th>${escapeHtml(c.label)}</th>`).join('')}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+// Printable page holding the recovery key, same no-script format as the report
+function recoveryKitHTML(recoveryKey) {
+  const now = new Date();
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Able Account - Recovery Kit</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1e293b; margin: 40px auto; max-width: 560px; line-height: 1.5; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  .meta { color: #64748b; font-size: 12px; margin: 0 0 24px; }
+  .key { font-family: 'SF Mono', Menlo, Consolas, monospace; font-size: 20px; letter-spacing: 1px; padding: 16px; border: 2px dashed #94a3b8; border-radius: 8px; text-align: center; margin: 16px 0 24px; }
+  ol { padding-left: 20px; }
+  li { margin-bottom: 6px; }
+  @media print { body { margin: 0 auto; } }
+</style>
+</head>
+<body>
+<h1>Able Account Recovery Kit</h1>
+<p class="meta">Created ${escapeHtml(now.toLocaleString())}</p>
+<p>This key unlocks your Able Account data if you forget your passphrase.</p>
+<div class="key">${escapeHtml(recoveryKey)}</div>
+<ol>
+  <li>Print this page or write the key down, then delete the file.</li>
+  <li>Keep it somewhere safe and offline — anyone with this key can open your data.</li>
+  <li>To use it, open Able Account and choose <strong>Forgot your passphrase?</strong> on the lock screen.</li>
+  <li>Creating a new recovery key makes this one stop working.</li>
+</ol>
+</body>
+</html>
+`;
+}
+
+function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,80 @@
+// Able Account - detection rule cases
+// One entry per check: the saved page in fixtures/, the address it is scored
+// as, whether an earlier signup step was seen in the tab, and what the first
+// form (`form`) or the page itself (`page`) is expected to score. `matched`
+// lists every signal that should fire, in any order.
+
+const DETECTION_CASES = [
+  {
+    name: 'Single-page signup',
+    fixture: 'signup.html',
+    url: 'https://example.com/signup',
+    form: {
+      confident: true,
+      matched: ['confirm-password', 'new-password', 'signup-button', 'signup-url', 'email-field', 'name-field', 'terms']
+    }
+  },
+  {
+    name: 'Login',
+    fixture: 'login.html',
+    url: 'https://example.com/login',
+    form: {
+      confident: false,
+      matched: ['email-field', 'login-button', 'login-url', 'current-password', 'forgot-password']
+    }
+  },
+  {
+    name: 'Login page is not a confirmation',
+    fixture: 'login.html',
+    url: 'https://example.com/login',
+    page: { confident: false, matched: [] }
+  },
+  {
+    name: 'Multi-step signup, email step',
+    fixture: 'signup-step-email.html',
+    url: 'https://example.com/join',
+    form: { confident: false, matched: ['signup-url', 'email-field', 'terms'] }
+  },
+  {
+    name: 'Multi-step signup, password step after the email step',
+    fixture: 'signup-step-password.html',
+    url: 'https://example.com/flow/step2',
+    signupSession: true,
+    form: { confident: true, matched: ['new-password', 'signup-session'] }
+  },
+  {
+    name: 'Login form opened after a signup step',
+    fixture: 'login-plain.html',
+    url: 'https://example.com/auth',
+    signupSession: true,
+    form: { confident: false, matched: ['email-field', 'signup-session'] }
+  },
+  {
+    name: 'Multi-step signup, password step on its own',
+    fixture: 'signup-step-password.html',
+    url: 'https://example.com/flow/step2',
+    form: { confident: false, matched: ['new-password'] }
+  },
+  {
+    name: 'Change password',
+    fixture: 'change-password.html',
+    url: 'https://example.com/account/security/password',
+    form: {
+      confident: false,
+      matched: ['confirm-password', 'new-password', 'current-password', 'change-password']
+    }
+  },
+  {
+    name: 'Confirmation page',
+    fixture: 'confirmation.html',
+    url: 'https://example.com/welcome',
+    page: { confident: true, matched: ['confirm-url', 'confirm-text'] }
+  },
+  {
+    name: 'Confirmation page after a signup step',
+    fixture: 'confirmation.html',
+    url: 'https://example.com/welcome',
+    signupSession: true,
+    page: { confident: true, matched: ['confirm-url', 'confirm-text', 'signup-session-page'] }
+  }
+];
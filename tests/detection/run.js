@@ -0,0 +1,85 @@
+// Able Account - detection rule checks
+// Scores each saved page in fixtures/ with the default rules and compares the
+// result with DETECTION_CASES (cases.js). Load the extension unpacked and open
+// chrome-extension://<id>/tests/detection/run.html (moz-extension:// in
+// Firefox); the page title ends in PASS or FAIL once every case has run.
+
+const parser = new DOMParser();
+const fixtures = {};
+
+async function loadFixture(name) {
+  if (!fixtures[name]) {
+    const res = await fetch('fixtures/' + name);
+    if (!res.ok) throw new Error('FIXTURE_NOT_FOUND');
+    fixtures[name] = parser.parseFromString(await res.text(), 'text/html');
+  }
+  return fixtures[name];
+}
+
+// Empty when `result` meets `expected`, else what went wrong
+function caseFailures(result, expected) {
+  const failures = [];
+  if (result.confident !== expected.confident) {
+    failures.push(`confident is ${result.confident}, expected ${expected.confident}`);
+  }
+  const missing = expected.matched.filter(id => !result.matched.includes(id));
+  const extra = result.matched.filter(id => !expected.matched.includes(id));
+  if (missing.length) failures.push('missing ' + missing.join(', '));
+  if (extra.length) failures.push('unexpected ' + extra.join(', '));
+  return failures;
+}
+
+async function runCase(test) {
+  const doc = await loadFixture(test.fixture);
+  const rules = normalizeDetectionRules(null, detectionLocales([doc.documentElement.lang]));
+  const page = pageSnapshot(doc, test.url, !!test.signupSession);
+  if (test.form) {
+    const form = doc.querySelector('form');
+    if (!form) return { score: null, failures: ['no form in fixture'] };
+    const result = scoreSignupForm(form, page, rules);
+    return { score: result.score, failures: caseFailures(result, test.form) };
+  }
+  const result = scoreConfirmationPage(page, rules);
+  return { score: result.score, failures: caseFailures(result, test.page) };
+}
+
+function addRow(test, outcome) {
+  const row = document.createElement('tr');
+  const cells = [
+    test.name,
+    outcome.failures.length ? 'FAIL' : 'pass',
+    outcome.score === null ? '' : String(outcome.score),
+    outcome.failures.join('; ')
+  ];
+  for (const text of cells) {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    row.appendChild(cell);
+  }
+  row.className = outcome.failures.length ? 'fail' : 'pass';
+  document.getElementById('results').appendChild(row);
+}
+
+async function runAll() {
+  let failed = 0;
+  for (const test of DETECTION_CASES) {
+    let outcome;
+    try {
+      outcome = await runCase(test);
+    } catch (err) {
+      outcome = { score: null, failures: [err.message] };
+    }
+    if (outcome.failures.length) {
+      failed++;
+      console.error(`${test.name}: ${outcome.failures.join('; ')}`);
+    }
+    addRow(test, outcome);
+  }
+  const summary = failed
+    ? `${failed} of ${DETECTION_CASES.length} failed`
+    : `All ${DETECTION_CASES.length} passed`;
+  document.getElementById('summary').textContent = summary;
+  document.title = `Detection rules: ${failed ? 'FAIL' : 'PASS'}`;
+}
+
+runAll();
@@ -0,0 +1,24 @@
+// Able Account - importer cases
+// `host` cases check the service name picked for a site when the export has
+// no name column; `csv` cases run a whole export through the importer and
+// list the service names it should produce, in order.
+
+const IMPORTER_CASES = [
+  { name: 'Subdomain', host: 'accounts.google.com', expected: 'Google' },
+  { name: 'Bare domain', host: 'github.com', expected: 'Github' },
+  { name: 'Single label', host: 'localhost', expected: 'Localhost' },
+  { name: 'Country code', host: 'example.de', expected: 'Example' },
+  { name: 'co.uk', host: 'bbc.co.uk', expected: 'Bbc' },
+  { name: 'com.au', host: 'amazon.com.au', expected: 'Amazon' },
+  { name: 'Subdomain under co.jp', host: 'shop.amazon.co.jp', expected: 'Amazon' },
+  { name: 'ac.uk', host: 'login.ox.ac.uk', expected: 'Ox' },
+  {
+    name: 'Firefox export without names',
+    csv: [
+      'url,username,password,httpRealm,formActionOrigin,guid,timeCreated,timeLastUsed,timePasswordChanged',
+      'https://www.bbc.co.uk,me@example.com,hunter2,,https://www.bbc.co.uk,{1},1700000000000,1700000000000,1700000000000',
+      'https://login.example.com.au,me,hunter2,,https://login.example.com.au,{2},1700000000000,1700000000000,1700000000000'
+    ].join('\n'),
+    expected: ['Bbc', 'Example']
+  }
+];
@@ -0,0 +1,53 @@
+// Able Account - importer checks
+// Runs IMPORTER_CASES (cases.js) through shared/importers.js. Load the
+// extension unpacked and open tests/importers/run.html from it; the page
+// title ends in PASS or FAIL.
+
+// Empty when the case passes, else what went wrong
+function caseFailure(test) {
+  if (test.host !== undefined) {
+    const name = serviceNameFromHost(test.host);
+    return name === test.expected ? '' : `got "${name}", expected "${test.expected}"`;
+  }
+  const result = importPasswordManagerCSV(test.csv);
+  if (result.error) return result.error;
+  const names = result.accounts.map(a => a.service_name);
+  return names.join() === test.expected.join()
+    ? ''
+    : `got ${names.join(', ')}, expected ${test.expected.join(', ')}`;
+}
+
+function addRow(test, failure) {
+  const row = document.createElement('tr');
+  for (const text of [test.name, failure ? 'FAIL' : 'pass', failure]) {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    row.appendChild(cell);
+  }
+  row.className = failure ? 'fail' : 'pass';
+  document.getElementById('results').appendChild(row);
+}
+
+function runAll() {
+  let failed = 0;
+  for (const test of IMPORTER_CASES) {
+    let failure;
+    try {
+      failure = caseFailure(test);
+    } catch (err) {
+      failure = err.message;
+    }
+    if (failure) {
+      failed++;
+      console.error(`${test.name}: ${failure}`);
+    }
+    addRow(test, failure);
+  }
+  const summary = failed
+    ? `${failed} of ${IMPORTER_CASES.length} failed`
+    : `All ${IMPORTER_CASES.length} passed`;
+  document.getElementById('summary').textContent = summary;
+  document.title = `Importers: ${failed ? 'FAIL' : 'PASS'}`;
+}
+
+runAll();